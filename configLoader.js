@@ -0,0 +1,372 @@
+/**
+ * Config Loader Module
+ * Reads settings from the environment and an optional JSON/YAML config file,
+ * checks them against the schema and watches the file for changes
+ * Values from the config file take precedence over the environment
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const logger = require('./logger');
+
+// Wait for editors to finish writing before reloading
+const WATCH_DEBOUNCE = 300;
+// Largest edit distance for a "did you mean" suggestion on an unknown key
+const MAX_SUGGESTION_DISTANCE = 3;
+
+class ConfigLoader {
+  /**
+   * @param {Object} schema - Setting name -> spec (see configSchema.js)
+   * @param {Object} options - Loader options
+   * @param {string} options.file - Optional .json, .yaml or .yml config file
+   * @param {Object} options.env - Environment variables (default: process.env)
+   */
+  constructor(schema, { file = null, env = process.env } = {}) {
+    this.schema = schema;
+    this.file = file ? path.resolve(file) : null;
+    this.env = env;
+    this.settings = null;
+    this.sources = {};
+    this.watcher = null;
+    this.reloadTimer = null;
+  }
+
+  /**
+   * Read and check every setting
+   * @returns {Object} Setting name -> value (defaults filled in)
+   * @throws {Error} Listing every problem found; error.problems holds them one per entry
+   */
+  load() {
+    const problems = [];
+    const fileValues = this.readFile(problems);
+    const settings = {};
+    const sources = {};
+
+    for (const [key, spec] of Object.entries(this.schema)) {
+      let source = null;
+      let raw;
+      if (fileValues[key] !== undefined && fileValues[key] !== null) {
+        source = path.basename(this.file);
+        raw = fileValues[key];
+      } else if (this.env[key] !== undefined && (this.env[key] !== '' || spec.empty)) {
+        source = 'environment';
+        raw = this.env[key];
+      }
+
+      if (source === null) {
+        settings[key] = spec.default;
+        continue;
+      }
+      sources[key] = source === 'environment' ? 'environment' : 'file';
+
+      try {
+        settings[key] = parseValue(spec, raw);
+      } catch (error) {
+        const value = spec.secret ? '' : `, got ${JSON.stringify(raw)}`;
+        problems.push(`${key}: ${error.message}${value} (${source})`);
+        continue;
+      }
+
+      try {
+        if (spec.check && settings[key] !== '') {
+          spec.check(settings[key]);
+        }
+      } catch (error) {
+        problems.push(`${key}: ${error.message} (${source})`);
+      }
+    }
+
+    for (const key of Object.keys(fileValues)) {
+      if (!this.schema[key]) {
+        const suggestion = suggestKey(key, Object.keys(this.schema));
+        const hint = suggestion ? `, did you mean ${suggestion}?` : '';
+        problems.push(`${key}: unknown setting${hint} (${path.basename(this.file)})`);
+      }
+    }
+
+    if (problems.length > 0) {
+      const error = new Error(`Invalid configuration:\n  ${problems.join('\n  ')}`);
+      error.problems = problems;
+      throw error;
+    }
+
+    this.settings = settings;
+    this.sources = sources;
+    return settings;
+  }
+
+  /**
+   * Where a setting's current value came from
+   * @param {string} key - Setting name
+   * @returns {string|null} 'file', 'environment' or null for the default
+   */
+  getSource(key) {
+    return this.sources[key] || null;
+  }
+
+  /**
+   * Write a setting into the config file, e.g. a refresh token the bot was given
+   * YAML files keep their comments and layout; JSON files are rewritten with 2-space indents
+   * The file is replaced atomically with its permissions kept, and the write does not
+   * count as a change when the watcher reloads it
+   * @param {string} key - Setting name
+   * @param {*} value - New value
+   * @throws {Error} Without a config file or if it cannot be read or written
+   */
+  saveValue(key, value) {
+    if (!this.file) {
+      throw new Error('No config file to save to');
+    }
+
+    const content = fs.readFileSync(this.file, 'utf8');
+    const { mode } = fs.statSync(this.file);
+    let updated;
+    if (path.extname(this.file).toLowerCase() === '.json') {
+      updated = `${JSON.stringify({ ...JSON.parse(content), [key]: value }, null, 2)}\n`;
+    } else {
+      const document = YAML.parseDocument(content);
+      document.set(key, value);
+      updated = document.toString();
+    }
+
+    fs.writeFileSync(`${this.file}.tmp`, updated, { mode: mode & 0o777 });
+    fs.renameSync(`${this.file}.tmp`, this.file);
+    if (this.settings) {
+      this.settings[key] = value;
+      this.sources[key] = 'file';
+    }
+  }
+
+  /**
+   * Read the config file into a plain object
+   * @param {Array} problems - Receives a message if the file cannot be used
+   * @returns {Object} Setting name -> raw value ({} without a file)
+   */
+  readFile(problems) {
+    if (!this.file) {
+      return {};
+    }
+
+    const name = path.basename(this.file);
+    const extension = path.extname(this.file).toLowerCase();
+    if (!['.json', '.yaml', '.yml'].includes(extension)) {
+      problems.push(`${name}: config files must end in .json, .yaml or .yml`);
+      return {};
+    }
+
+    let values;
+    try {
+      const content = fs.readFileSync(this.file, 'utf8');
+      values = extension === '.json' ? JSON.parse(content) : YAML.parse(content);
+    } catch (error) {
+      problems.push(`${name}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
+      return {};
+    }
+
+    // An empty YAML file parses to null
+    if (values === null || values === undefined) {
+      return {};
+    }
+    if (typeof values !== 'object' || Array.isArray(values)) {
+      problems.push(`${name}: expected a mapping of setting names to values`);
+      return {};
+    }
+    return values;
+  }
+
+  /**
+   * Reload the settings whenever the config file changes
+   * An invalid file is reported and the current settings stay in place
+   * @param {Function} onChange - Called with (settings, changedKeys) after a valid change
+   */
+  watch(onChange) {
+    if (!this.file || this.watcher) {
+      return;
+    }
+
+    // Watch the directory: editors often replace the file instead of writing to it
+    const name = path.basename(this.file);
+    try {
+      this.watcher = fs.watch(path.dirname(this.file), (eventType, file) => {
+        if (file !== name) {
+          return;
+        }
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => this.reload(onChange), WATCH_DEBOUNCE);
+      });
+
+      logger.info('Watching config file', { file: this.file });
+    } catch (error) {
+      logger.warn('Failed to watch config file', {
+        file: this.file,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Load the settings again and report which ones changed
+   * @param {Function} onChange - Called with (settings, changedKeys) if any changed
+   */
+  async reload(onChange) {
+    const previous = this.settings || {};
+    let settings;
+    try {
+      settings = this.load();
+    } catch (error) {
+      logger.warn('Config file invalid, keeping the current settings', {
+        file: this.file,
+        problems: error.problems || [error.message],
+      });
+      return;
+    }
+
+    const changed = Object.keys(settings).filter(
+      (key) => JSON.stringify(settings[key]) !== JSON.stringify(previous[key])
+    );
+    if (changed.length === 0) {
+      logger.debug('Config file saved without changes');
+      return;
+    }
+
+    try {
+      await onChange(settings, changed);
+    } catch (error) {
+      logger.error('Failed to apply config changes', {
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Stop watching the config file
+   */
+  close() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+/**
+ * Convert a raw environment or config file value to the type a setting needs
+ * @param {Object} spec - Setting spec
+ * @param {*} raw - String from the environment or any JSON/YAML value
+ * @returns {*} Typed value
+ * @throws {Error} Describing what was expected
+ */
+function parseValue(spec, raw) {
+  switch (spec.type) {
+    case 'integer': {
+      const value = typeof raw === 'string' && /^\s*-?\d+\s*$/.test(raw) ? Number(raw) : raw;
+      if (!Number.isSafeInteger(value)) {
+        throw new Error('expected an integer');
+      }
+      const tooLow = spec.min !== undefined && value < spec.min;
+      const tooHigh = spec.max !== undefined && value > spec.max;
+      if (tooLow || tooHigh) {
+        throw new Error(describeRange(spec));
+      }
+      return value;
+    }
+    case 'boolean':
+      if (raw === true || raw === false) {
+        return raw;
+      }
+      if (typeof raw === 'string' && ['true', 'false'].includes(raw.trim().toLowerCase())) {
+        return raw.trim().toLowerCase() === 'true';
+      }
+      throw new Error('expected true or false');
+    case 'list':
+      if (typeof raw === 'string') {
+        return parseList(raw);
+      }
+      if (Array.isArray(raw) && raw.every((item) => typeof item === 'string')) {
+        return raw.map((item) => item.trim()).filter(Boolean);
+      }
+      throw new Error('expected a list of strings or a comma-separated string');
+    case 'enum': {
+      const value =
+        typeof raw === 'string'
+          ? spec.values.find((allowed) => allowed.toLowerCase() === raw.trim().toLowerCase())
+          : undefined;
+      if (value === undefined) {
+        throw new Error(`expected one of ${spec.values.join(', ')}`);
+      }
+      return value;
+    }
+    default:
+      if (typeof raw !== 'string') {
+        throw new Error('expected a string');
+      }
+      return raw;
+  }
+}
+
+/**
+ * Describe the allowed range of an integer setting
+ * @param {Object} spec - Setting spec with min and/or max
+ * @returns {string} E.g. "must be between 0 and 100"
+ */
+function describeRange({ min, max }) {
+  if (min !== undefined && max !== undefined) {
+    return `must be between ${min} and ${max}`;
+  }
+  return min !== undefined ? `must be at least ${min}` : `must be at most ${max}`;
+}
+
+/**
+ * Split a comma-separated setting into trimmed, non-empty items
+ * @param {string} value - Raw value
+ * @returns {Array} Items
+ */
+function parseList(value) {
+  return value
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Find the known setting an unknown key was most likely meant to be
+ * @param {string} key - Unknown key
+ * @param {Array} known - Known setting names
+ * @returns {string|null} Closest name or null if none is close
+ */
+function suggestKey(key, known) {
+  const wanted = key.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+  let best = null;
+  let bestDistance = MAX_SUGGESTION_DISTANCE + 1;
+  for (const name of known) {
+    const distance = editDistance(wanted, name);
+    if (distance < bestDistance) {
+      best = name;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+module.exports = ConfigLoader;
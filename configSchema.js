@@ -0,0 +1,163 @@
+/**
+ * Configuration Schema
+ * Every setting the bot reads, with its type, default and limits
+ * Names are the environment variable names; a config file uses the same names
+ *
+ * Spec fields:
+ *   type     - string, integer, boolean, list (comma-separated or array) or enum
+ *   default  - Value when neither the environment nor the config file sets it
+ *   min/max  - Inclusive range for integers
+ *   values   - Allowed values for enums (matched case-insensitively)
+ *   empty    - An empty string is a value of its own instead of "use the default"
+ *   secret   - Credential: never logged and never hot-reloaded
+ *   reload   - Applied while running when the config file changes
+ *   check    - Throws with a message if the value is not usable
+ */
+
+const SpotifyAuth = require('./spotifyAuth');
+const SpotifyService = require('./spotifyService');
+const LrclibProvider = require('./lrclibProvider');
+const DiscordService = require('./discordService');
+const StatusFormatter = require('./statusFormatter');
+const StatusSchedule = require('./statusSchedule');
+const PrivacyFilter = require('./privacyFilter');
+
+// Status states with a template and an emoji setting
+const STATUS_STATES = {
+  LYRIC: 'lyric',
+  ESTIMATED: 'estimated',
+  GAP: 'gap',
+  NO_LYRICS: 'noLyrics',
+  PAUSED: 'paused',
+  PODCAST: 'podcast',
+  PRIVATE: 'private',
+  QUIET: 'quiet',
+};
+
+const INTERVAL = { type: 'integer', min: 1000, max: 600000, reload: true };
+const RATE_LIMIT = { type: 'integer', min: 0, max: 600000, reload: true };
+const TEMPLATE = { type: 'string', empty: true, reload: true };
+
+const CONFIG_SCHEMA = {
+  // Credentials
+  DISCORD_USER_TOKEN: { type: 'string', secret: true },
+  SPOTIFY_CLIENT_ID: { type: 'string' },
+  SPOTIFY_CLIENT_SECRET: { type: 'string', secret: true },
+  SPOTIFY_REFRESH_TOKEN: { type: 'string', secret: true },
+  SPOTIFY_REDIRECT_URI: { type: 'string', default: SpotifyAuth.DEFAULT_REDIRECT_URI },
+
+  // Service endpoints, e.g. to point the bot at local mocks
+  SPOTIFY_API_BASE: { type: 'string', default: SpotifyService.API_BASE },
+  SPOTIFY_AUTH_URL: { type: 'string', default: SpotifyService.AUTH_URL },
+  LRCLIB_API_BASE: { type: 'string', default: LrclibProvider.API_BASE },
+  DISCORD_API_BASE: { type: 'string', default: DiscordService.API_BASE },
+
+  // Polling
+  POLLING_INTERVAL: { ...INTERVAL, default: 3500 },
+  POLLING_PAUSED_INTERVAL: { ...INTERVAL, default: 10000 },
+  POLLING_IDLE_INTERVAL: { ...INTERVAL, default: 20000 },
+
+  // Lyrics and cache
+  LYRICS_PROVIDERS: { type: 'list', default: ['lrclib'] },
+  PLAIN_LYRICS_FALLBACK: { type: 'boolean', default: false, reload: true },
+  LOCAL_LRC_DIR: { type: 'string', default: '' },
+  CACHE_ENABLED: { type: 'boolean', default: true },
+  CACHE_DIR: { type: 'string', default: '.cache/lyrics' },
+  CACHE_TTL: { type: 'integer', default: 2592000000, min: 0 },
+  CACHE_NEGATIVE_TTL: { type: 'integer', default: 86400000, min: 0 },
+  CACHE_MAX_ENTRIES: { type: 'integer', default: 1000, min: 1 },
+  CACHE_MAX_BYTES: { type: 'integer', default: 20971520, min: 1024 },
+
+  // Sync
+  RATE_LIMIT_THRESHOLD: { ...RATE_LIMIT, default: 1000 },
+  SYNC_OFFSET: { type: 'integer', default: 0, min: -60000, max: 60000, reload: true },
+  OFFSETS_FILE: { type: 'string', default: '.data/offsets.json' },
+  OFFSET_STEP: { type: 'integer', default: 250, min: 1, max: 60000, reload: true },
+
+  // Status text: STATUS_TEMPLATE_<STATE> and STATUS_EMOJI_<STATE>, unset uses the built-in
+  ...Object.fromEntries(
+    Object.keys(STATUS_STATES).flatMap((state) => [
+      [`STATUS_TEMPLATE_${state}`, TEMPLATE],
+      [`STATUS_EMOJI_${state}`, { type: 'string', reload: true }],
+    ])
+  ),
+  // line, next (current + next line), chunks (split long lines), progress (compact bar)
+  // or karaoke (word by word from enhanced LRC word timings)
+  STATUS_DISPLAY_MODE: {
+    type: 'enum',
+    values: StatusFormatter.DISPLAY_MODES,
+    default: 'line',
+    reload: true,
+  },
+  KARAOKE_STEP: { type: 'integer', default: 1500, min: 100, max: 60000, reload: true },
+  STATUS_EXPIRY_ENABLED: { type: 'boolean', default: true, reload: true },
+  IGNORE_PODCASTS: { type: 'boolean', default: false, reload: true },
+
+  // Privacy: names, Spotify IDs, URIs or open.spotify.com links
+  PRIVACY_BLOCK_ARTISTS: { type: 'list', default: [], reload: true },
+  PRIVACY_BLOCK_TRACKS: { type: 'list', default: [], reload: true },
+  PRIVACY_BLOCK_ALBUMS: { type: 'list', default: [], reload: true },
+  PRIVACY_BLOCK_CONTEXTS: { type: 'list', default: [], reload: true },
+  // hide (your own status) or generic (the private template)
+  PRIVACY_ACTION: {
+    type: 'enum',
+    values: PrivacyFilter.BLOCK_ACTIONS,
+    default: 'generic',
+    reload: true,
+  },
+  PRIVACY_MASK_PROFANITY: { type: 'boolean', default: false, reload: true },
+  PRIVACY_MASK_WORDS: { type: 'list', default: PrivacyFilter.DEFAULT_MASK_WORDS, reload: true },
+  PRIVACY_HIDE_EXPLICIT_LYRICS: { type: 'boolean', default: false, reload: true },
+
+  // Quiet hours, e.g. "mon-fri 18:00-23:30; sat,sun 10:00-02:00"
+  STATUS_SCHEDULE: {
+    type: 'string',
+    default: '',
+    reload: true,
+    check: (value) => new StatusSchedule(value),
+  },
+  STATUS_SCHEDULE_TIMEZONE: {
+    type: 'string',
+    default: '',
+    reload: true,
+    check: (value) => new StatusSchedule('', { timezone: value }),
+  },
+  // Outside the schedule or while snoozed: restore (your own status) or fallback (quiet template)
+  QUIET_ACTION: { type: 'enum', values: ['restore', 'fallback'], default: 'restore', reload: true },
+
+  // Listening history and status backup
+  HISTORY_ENABLED: { type: 'boolean', default: true },
+  HISTORY_FILE: { type: 'string', default: '.data/history.jsonl' },
+  STATUS_BACKUP_FILE: { type: 'string', default: '.data/original-status.json' },
+
+  // Where statuses go: discord, console, obs, webhook or paths to custom sink modules
+  STATUS_SINKS: { type: 'list', default: ['discord'] },
+  // Per-sink lyric line and estimated line templates (other states use STATUS_TEMPLATE_*)
+  // and rate limit
+  CONSOLE_TEMPLATE: TEMPLATE,
+  CONSOLE_ESTIMATED_TEMPLATE: TEMPLATE,
+  CONSOLE_RATE_LIMIT: { ...RATE_LIMIT, default: 0 },
+  OBS_OUTPUT_DIR: { type: 'string', default: '.data/obs' },
+  OBS_TEMPLATE: TEMPLATE,
+  OBS_ESTIMATED_TEMPLATE: TEMPLATE,
+  OBS_RATE_LIMIT: { ...RATE_LIMIT, default: 250 },
+  WEBHOOK_URL: { type: 'string' },
+  WEBHOOK_TOKEN: { type: 'string', secret: true },
+  WEBHOOK_TEMPLATE: TEMPLATE,
+  WEBHOOK_ESTIMATED_TEMPLATE: TEMPLATE,
+  WEBHOOK_RATE_LIMIT: { ...RATE_LIMIT, default: 1000 },
+
+  // Control API
+  CONTROL_API_ENABLED: { type: 'boolean', default: false },
+  CONTROL_API_PORT: { type: 'integer', default: 8787, min: 1, max: 65535 },
+  CONTROL_API_TOKEN: { type: 'string', secret: true },
+
+  LOG_LEVEL: {
+    type: 'enum',
+    values: ['error', 'warn', 'info', 'debug'],
+    default: 'info',
+    reload: true,
+  },
+};
+
+module.exports = { CONFIG_SCHEMA, STATUS_STATES };
@@ -0,0 +1,41 @@
+/**
+ * Console Sink Module
+ * Status sink printing every status change to the terminal (dry run without Discord)
+ */
+
+class ConsoleSink {
+  /**
+   * @param {Object} options - Sink options
+   * @param {stream.Writable} options.stream - Where to print (default: stdout)
+   */
+  constructor({ stream = process.stdout } = {}) {
+    this.name = 'console';
+    this.stream = stream;
+  }
+
+  /**
+   * Print a status
+   * @param {Object} status - {text, emoji}
+   */
+  async setStatus({ text, emoji }) {
+    this.print(emoji ? `${emoji} ${text}` : text);
+  }
+
+  /**
+   * Print that the status was taken down
+   */
+  async clear() {
+    this.print('(status cleared)');
+  }
+
+  /**
+   * Write one line with the local time in front
+   * @param {string} line - Line to print
+   */
+  print(line) {
+    const time = new Date().toTimeString().slice(0, 8);
+    this.stream.write(`[${time}] ${line}\n`);
+  }
+}
+
+module.exports = ConsoleSink;
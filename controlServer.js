@@ -0,0 +1,310 @@
+/**
+ * Control API Module
+ * Small HTTP server on localhost to inspect and steer the running bot
+ * Every request needs the configured bearer token
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const logger = require('./logger');
+
+// Only reachable from this machine
+const CONTROL_HOST = '127.0.0.1';
+
+// Request bodies are tiny JSON commands
+const MAX_BODY_BYTES = 16 * 1024;
+
+// Longest delay setTimeout supports; larger ones fire right away
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+class ControlServer {
+  /**
+   * @param {Object} bot - SpotifyDiscordBot instance
+   * @param {Object} options - Server options
+   * @param {number} options.port - Port to listen on
+   * @param {string} options.token - Bearer token clients must send
+   */
+  constructor(bot, { port = 8787, token }) {
+    if (!token) {
+      throw new Error('Control API token is required');
+    }
+
+    this.bot = bot;
+    this.port = port;
+    this.token = token;
+    this.server = null;
+
+    // "METHOD /path" -> handler(body) returning the JSON response
+    this.routes = {
+      'GET /state': () => this.bot.getRuntimeState(),
+      'POST /pause': () => this.bot.pauseUpdates(),
+      'POST /resume': () => this.bot.resumeUpdates(),
+      'POST /offset': (body) => this.handleOffset(body),
+      'POST /refetch': () => this.handleRefetch(),
+      'POST /cache/clear': (body) => this.handleClearCache(body),
+      'POST /status': (body) => this.handleManualStatus(body),
+      'DELETE /status': () => this.bot.clearManualStatus(),
+      'POST /snooze': (body) => this.handleSnooze(body),
+      'DELETE /snooze': () => this.bot.unsnooze(),
+    };
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise} Resolves once the server is listening
+   */
+  start() {
+    if (this.server) {
+      return Promise.resolve();
+    }
+
+    this.server = http.createServer((request, response) => {
+      this.handleRequest(request, response).catch((error) => {
+        logger.error('Control API request failed', { error: error.message });
+        if (!response.headersSent) {
+          sendJson(response, 500, { error: 'Internal error' });
+        }
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, CONTROL_HOST, () => {
+        this.server.off('error', reject);
+        logger.info('Control API listening', {
+          url: `http://${CONTROL_HOST}:${this.port}`,
+        });
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise} Resolves once the server is closed
+   */
+  close() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    const server = this.server;
+    this.server = null;
+    return new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  /**
+   * Authenticate, route and answer a request
+   * @param {http.IncomingMessage} request - Incoming request
+   * @param {http.ServerResponse} response - Response
+   */
+  async handleRequest(request, response) {
+    // Split by hand: URL parsing throws on request targets like "//"
+    const pathname = (request.url || '').split('?')[0];
+    if (!pathname.startsWith('/')) {
+      sendJson(response, 400, { error: 'Bad request' });
+      return;
+    }
+
+    if (!this.isAuthorized(request)) {
+      logger.warn('Rejected control API request', {
+        method: request.method,
+        path: pathname,
+      });
+      sendJson(response, 401, { error: 'Unauthorized' });
+      return;
+    }
+
+    const handler = this.routes[`${request.method} ${pathname}`];
+    if (!handler) {
+      sendJson(response, 404, { error: 'Not found' });
+      return;
+    }
+
+    try {
+      const body = await readJsonBody(request);
+      const result = await handler(body);
+      logger.debug('Control API request handled', {
+        method: request.method,
+        path: pathname,
+      });
+      sendJson(response, 200, result === undefined ? { ok: true } : result);
+    } catch (error) {
+      const status = error.statusCode || 500;
+      if (status >= 500) {
+        logger.error('Control API request failed', {
+          path: pathname,
+          error: error.message,
+        });
+      }
+      sendJson(response, status, { error: error.message });
+    }
+  }
+
+  /**
+   * Check the bearer token in constant time
+   * @param {http.IncomingMessage} request - Incoming request
+   * @returns {boolean} True if the token matches
+   */
+  isAuthorized(request) {
+    const match = (request.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    if (!match) {
+      return false;
+    }
+
+    const expected = crypto.createHash('sha256').update(this.token).digest();
+    const actual = crypto.createHash('sha256').update(match[1]).digest();
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * POST /offset {delta} nudges the current track, {reset: true} removes its override,
+   * {artist: <ms>} sets the default of its first artist and {artist: null} removes it
+   * @param {Object} body - Request body
+   * @returns {Object} New offsets
+   */
+  handleOffset(body) {
+    const artist = body.artist === null || Number.isFinite(body.artist);
+    const valid = body.reset || Number.isFinite(body.delta) || artist;
+    if (!valid) {
+      throw badRequest('Expected {"delta": <ms>}, {"reset": true} or {"artist": <ms>|null}');
+    }
+    // Offsets belong to a track, so there is nothing to change without one
+    if (!this.bot.currentTrack) {
+      throw badRequest('No track playing');
+    }
+
+    if (body.reset) {
+      this.bot.resetOffset();
+    } else if (Number.isFinite(body.delta)) {
+      this.bot.nudgeOffset(body.delta);
+    } else {
+      this.bot.setArtistOffset(body.artist);
+    }
+
+    return this.bot.getRuntimeState().offset;
+  }
+
+  /**
+   * POST /refetch drops the current track's cached lyrics and looks them up again
+   * @returns {Promise<Object>} {source, lines}
+   */
+  async handleRefetch() {
+    const result = await this.bot.refetchLyrics();
+    if (!result) {
+      throw badRequest('No track playing');
+    }
+    return result;
+  }
+
+  /**
+   * POST /cache/clear clears the whole cache, {current: true} only the current track
+   * @param {Object} body - Request body
+   * @returns {Object} {removed}
+   */
+  handleClearCache(body) {
+    const track = body.current ? this.bot.currentTrack : null;
+    if (body.current && !track) {
+      throw badRequest('No track playing');
+    }
+
+    return { removed: this.bot.clearLyricsCache(track) };
+  }
+
+  /**
+   * POST /status {text, emoji, duration} shows a manual status for duration ms
+   * @param {Object} body - Request body
+   * @returns {Object} Manual status
+   */
+  handleManualStatus(body) {
+    if (typeof body.text !== 'string' || body.text.trim() === '') {
+      throw badRequest('Expected {"text": "...", "emoji": "...", "duration": <ms>}');
+    }
+    const duration = body.duration;
+    if (duration !== undefined && !(Number.isFinite(duration) && duration > 0)) {
+      throw badRequest('duration must be a positive number of milliseconds');
+    }
+    if (duration > MAX_TIMER_DELAY) {
+      throw badRequest(`duration must be at most ${MAX_TIMER_DELAY} milliseconds (about 24 days)`);
+    }
+
+    return this.bot.setManualStatus(body.text, {
+      emoji: body.emoji || null,
+      duration: body.duration,
+    });
+  }
+
+  /**
+   * POST /snooze {minutes} turns lyric statuses off for a while (default one hour)
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} {snoozedUntil}
+   */
+  handleSnooze(body) {
+    if (body.minutes !== undefined && !(Number.isFinite(body.minutes) && body.minutes > 0)) {
+      throw badRequest('minutes must be a positive number');
+    }
+
+    return this.bot.snooze(body.minutes);
+  }
+}
+
+/**
+ * Read and parse a JSON request body (empty bodies parse to {})
+ * @param {http.IncomingMessage} request - Incoming request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readJsonBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    request.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    request.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8').trim();
+      if (!text) {
+        resolve({});
+        return;
+      }
+
+      try {
+        const body = JSON.parse(text);
+        resolve(body && typeof body === 'object' ? body : {});
+      } catch (error) {
+        reject(badRequest('Invalid JSON body'));
+      }
+    });
+
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Write a JSON response
+ * @param {http.ServerResponse} response - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} data - Response body
+ */
+function sendJson(response, status, data) {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(data));
+}
+
+/**
+ * Create a 400 error
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode 400
+ */
+function badRequest(message) {
+  return Object.assign(new Error(message), { statusCode: 400 });
+}
+
+module.exports = ControlServer;
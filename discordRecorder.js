@@ -0,0 +1,182 @@
+/**
+ * Discord Recorder Module
+ * Local stand-in for the Discord settings endpoint used by the simulation: records every
+ * status PATCH with a timestamp and can enforce a rate limit to exercise the back-off
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const logger = require('./logger');
+
+const RECORDER_HOST = '127.0.0.1';
+const SETTINGS_PATH = '/users/@me/settings';
+
+class DiscordRecorder {
+  /**
+   * @param {Object} options - Recorder options
+   * @param {Object} options.rateLimit - {limit, windowMs} fixed-window limit (none if omitted)
+   * @param {Function} options.annotate - Returns extra fields stored with each payload
+   */
+  constructor({ rateLimit = null, annotate = () => ({}) } = {}) {
+    if (rateLimit && !(rateLimit.limit > 0 && rateLimit.windowMs > 0)) {
+      throw new Error('Discord rate limit needs a positive "limit" and "windowMs"');
+    }
+
+    this.rateLimit = rateLimit;
+    this.annotate = annotate;
+    this.server = null;
+    this.records = [];
+    this.windowStart = 0;
+    this.windowCount = 0;
+  }
+
+  /**
+   * Start listening on a free local port
+   * @returns {Promise<string>} Base URL to use as the Discord API base
+   */
+  start() {
+    this.server = http.createServer((request, response) => {
+      this.handleRequest(request, response);
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(0, RECORDER_HOST, () => {
+        this.server.off('error', reject);
+        resolve(`http://${RECORDER_HOST}:${this.server.address().port}`);
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise} Resolves once the server is closed
+   */
+  close() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    const server = this.server;
+    this.server = null;
+    return new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  /**
+   * Answer the settings endpoint: GET reports no status, PATCH is recorded
+   * @param {http.IncomingMessage} request - Incoming request
+   * @param {http.ServerResponse} response - Response
+   */
+  handleRequest(request, response) {
+    if (request.url !== SETTINGS_PATH) {
+      sendJson(response, 404, { message: '404: Not Found', code: 0 });
+      return;
+    }
+
+    if (request.method === 'GET') {
+      sendJson(response, 200, { custom_status: null });
+      return;
+    }
+
+    if (request.method !== 'PATCH') {
+      sendJson(response, 405, { message: '405: Method Not Allowed', code: 0 });
+      return;
+    }
+
+    const chunks = [];
+    request.on('data', (chunk) => chunks.push(chunk));
+    request.on('end', () => {
+      let body = {};
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      } catch (error) {
+        sendJson(response, 400, { message: 'Invalid JSON', code: 50109 });
+        return;
+      }
+
+      const { status, headers, retryAfter } = this.takeRateLimit();
+      this.records.push({
+        at: new Date().toISOString(),
+        status,
+        customStatus: body.custom_status ?? null,
+        ...this.annotate(),
+      });
+
+      if (status === 429) {
+        logger.debug('Recorder rejected status update', { retryAfter });
+        const error = { message: 'You are being rate limited.', retry_after: retryAfter };
+        sendJson(response, 429, { ...error, global: false }, headers);
+        return;
+      }
+      sendJson(response, 200, { custom_status: body.custom_status ?? null }, headers);
+    });
+  }
+
+  /**
+   * Count a PATCH against the rate limit window
+   * @returns {Object} {status, headers, retryAfter} where retryAfter is in seconds
+   */
+  takeRateLimit() {
+    if (!this.rateLimit) {
+      return { status: 200, headers: {}, retryAfter: 0 };
+    }
+
+    const now = Date.now();
+    const { limit, windowMs } = this.rateLimit;
+    if (now - this.windowStart >= windowMs) {
+      this.windowStart = now;
+      this.windowCount = 0;
+    }
+
+    const resetAfter = (this.windowStart + windowMs - now) / 1000;
+    const allowed = this.windowCount < limit;
+    if (allowed) {
+      this.windowCount += 1;
+    }
+
+    const headers = {
+      'x-ratelimit-limit': String(limit),
+      'x-ratelimit-remaining': String(limit - this.windowCount),
+      'x-ratelimit-reset-after': resetAfter.toFixed(3),
+    };
+    return { status: allowed ? 200 : 429, headers, retryAfter: resetAfter };
+  }
+
+  /**
+   * Summarize the recorded payloads
+   * @returns {Object} {payloads, accepted, rateLimited}
+   */
+  getSummary() {
+    const rateLimited = this.records.filter((record) => record.status === 429).length;
+    return {
+      payloads: this.records.length,
+      accepted: this.records.length - rateLimited,
+      rateLimited,
+    };
+  }
+
+  /**
+   * Write the recorded payloads as JSON lines
+   * @param {string} filePath - Target file
+   */
+  writeTo(filePath) {
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    const lines = this.records.map((record) => `${JSON.stringify(record)}\n`);
+    fs.writeFileSync(filePath, lines.join(''));
+  }
+}
+
+/**
+ * Write a JSON response
+ * @param {http.ServerResponse} response - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} data - Response body
+ * @param {Object} headers - Extra headers
+ */
+function sendJson(response, status, data, headers = {}) {
+  response.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  response.end(JSON.stringify(data));
+}
+
+module.exports = DiscordRecorder;
@@ -4,55 +4,145 @@
  * No bot permissions needed
  */
 
+const fs = require('fs');
+const path = require('path');
 const axios = require('axios');
 const logger = require('./logger');
 
+const DISCORD_API_BASE = 'https://discord.com/api/v10';
+
+// Exponential backoff after 5xx and network errors
+const SERVER_ERROR_BACKOFF_BASE = 1000;
+const SERVER_ERROR_BACKOFF_MAX = 60000;
+// A clear or restore at shutdown waits out a rate limit block up to this long, then gives up
+const MAX_BLOCK_WAIT = 15000;
+// Attempts for a clear or restore that keeps getting rate limited
+const MAX_PRIORITY_ATTEMPTS = 3;
+
+// Custom status with nothing set
+const EMPTY_STATUS = {
+  text: '',
+  emoji_name: null,
+  emoji_id: null,
+  expires_at: null,
+};
+
 class DiscordService {
-  constructor(userToken) {
+  /**
+   * @param {string} userToken - Discord user token
+   * @param {Object} options - Service options
+   * @param {string} options.backupFile - File keeping the user's own status until it is restored
+   * @param {string} options.apiBaseUrl - Discord API base URL (e.g. a local recorder)
+   */
+  constructor(
+    userToken,
+    {
+      backupFile = path.join('.data', 'original-status.json'),
+      apiBaseUrl = DISCORD_API_BASE,
+    } = {}
+  ) {
     this.userToken = userToken;
-    this.apiBaseUrl = 'https://discord.com/api/v10';
+    this.apiBaseUrl = apiBaseUrl;
     this.lastStatus = null;
     this.ready = true;
+
+    // The status the user had before the bot took over
+    this.backupFile = path.resolve(backupFile);
+    this.originalStatus = null;
+    this.originalStatusSaved = false;
+
+    // Outbound limiter state: updates are held back until blockedUntil
+    this.blockedUntil = 0;
+    this.pendingStatus = null;
+    this.flushTimer = null;
+    this.consecutiveErrors = 0;
+    this.rateLimit = {
+      limit: null,
+      remaining: null,
+      resetAt: null,
+    };
   }
 
   /**
    * Update Discord custom status via user token
    * @param {string} lyric - Status text to display
-   * @throws {Error} If update fails
+   * @param {Object} options - Optional status extras
+   * @param {string|Object} options.emoji - Unicode emoji, "<:name:id>" or {id, name} for a custom emoji
+   * @param {Date|number|string} options.expiresAt - When Discord should clear the status
+   * @throws {Error} If update fails for a reason other than rate limiting or a server error
    */
-  async setLyricStatus(lyric) {
-    try {
-      const text = lyric.substring(0, 128);
+  async setLyricStatus(lyric, { emoji = null, expiresAt = null } = {}) {
+    const customStatus = {
+      text: lyric.substring(0, 128),
+      ...parseEmoji(emoji),
+      expires_at: expiresAt ? new Date(expiresAt).toISOString() : null,
+    };
 
-      // Skip if same as last status (diff check)
-      if (text === this.lastStatus) {
-        logger.debug('Status unchanged, skipping update');
-        return;
-      }
+    // Skip if same as last status (diff check on the whole payload)
+    if (JSON.stringify(customStatus) === this.lastStatus) {
+      logger.debug('Status unchanged, skipping update');
+      this.pendingStatus = null;
+      return;
+    }
 
-      await axios.patch(
-        `${this.apiBaseUrl}/users/@me/settings`,
-        {
-          custom_status: {
-            text: text,
-            // emoji_name: '🎵',
-          },
-        },
-        {
-          headers: {
-            Authorization: this.userToken,
-            'Content-Type': 'application/json',
-          },
-          timeout: 5000,
-        }
-      );
+    // While rate limited or backing off, only the newest status is kept
+    if (Date.now() < this.blockedUntil) {
+      this.queueStatus(customStatus);
+      return;
+    }
+
+    await this.sendStatus(customStatus);
+  }
+
+  /**
+   * Send a status, handling 429 and 5xx responses by queueing it for later
+   * @param {Object} customStatus - custom_status payload
+   * @throws {Error} If update fails for another reason (e.g. invalid token)
+   */
+  async sendStatus(customStatus) {
+    try {
+      const response = await this.patchCustomStatus(customStatus);
 
-      this.lastStatus = text;
+      this.lastStatus = JSON.stringify(customStatus);
+      this.consecutiveErrors = 0;
+      this.readRateLimitHeaders(response.headers);
       logger.debug('Discord status updated', {
-        lyric: text.substring(0, 50),
+        lyric: customStatus.text.substring(0, 50),
+        emoji: customStatus.emoji_name || undefined,
+        expiresAt: customStatus.expires_at || undefined,
       });
     } catch (error) {
-      if (error.response?.status === 401) {
+      const status = error.response?.status;
+
+      if (status === 429) {
+        this.readRateLimitHeaders(error.response.headers);
+        const retryAfter = getRetryAfter(error.response);
+        this.block(retryAfter);
+        logger.warn('Discord rate limited, pausing status updates', {
+          retryAfter,
+          global: error.response.data?.global || false,
+        });
+        this.queueStatus(customStatus);
+        return;
+      }
+
+      if (!status || status >= 500) {
+        this.consecutiveErrors += 1;
+        const delay = Math.min(
+          SERVER_ERROR_BACKOFF_BASE * 2 ** (this.consecutiveErrors - 1),
+          SERVER_ERROR_BACKOFF_MAX
+        );
+        this.block(delay);
+        logger.warn('Discord unavailable, backing off', {
+          status,
+          message: error.message,
+          delay,
+        });
+        this.queueStatus(customStatus);
+        return;
+      }
+
+      if (status === 401) {
         logger.error('Discord user token invalid or expired', {
           message: error.message,
         });
@@ -65,6 +155,89 @@ class DiscordService {
     }
   }
 
+  /**
+   * Keep a status to send once updates are allowed again, replacing any older one
+   * @param {Object} customStatus - custom_status payload
+   */
+  queueStatus(customStatus) {
+    if (this.pendingStatus) {
+      logger.debug('Dropping older pending Discord status');
+    }
+    this.pendingStatus = customStatus;
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        this.flushTimer = null;
+        this.flushPending();
+      }, Math.max(0, this.blockedUntil - Date.now()));
+    }
+  }
+
+  /**
+   * Send the newest pending status
+   */
+  async flushPending() {
+    const customStatus = this.pendingStatus;
+    this.pendingStatus = null;
+    if (!customStatus || JSON.stringify(customStatus) === this.lastStatus) {
+      return;
+    }
+
+    try {
+      await this.sendStatus(customStatus);
+    } catch (error) {
+      // Already logged by sendStatus
+    }
+  }
+
+  /**
+   * Hold back outbound updates
+   * @param {number} delayMs - Milliseconds to wait before the next request
+   */
+  block(delayMs) {
+    this.blockedUntil = Math.max(this.blockedUntil, Date.now() + delayMs);
+  }
+
+  /**
+   * Record the X-RateLimit-* headers of a response
+   * Blocks further updates when the bucket is exhausted
+   * @param {Object} headers - Response headers (lowercase keys)
+   */
+  readRateLimitHeaders(headers = {}) {
+    const limit = parseInt(headers['x-ratelimit-limit'], 10);
+    const remaining = parseInt(headers['x-ratelimit-remaining'], 10);
+    const resetAfter = parseFloat(headers['x-ratelimit-reset-after']);
+
+    if (Number.isNaN(remaining) || Number.isNaN(resetAfter)) {
+      return;
+    }
+
+    this.rateLimit = {
+      limit: Number.isNaN(limit) ? null : limit,
+      remaining,
+      resetAt: Date.now() + resetAfter * 1000,
+    };
+
+    if (remaining === 0) {
+      this.block(resetAfter * 1000);
+      logger.debug('Discord rate limit bucket exhausted', { resetAfter });
+    }
+  }
+
+  /**
+   * Report the current outbound limiter state
+   * @returns {Object} {blocked, blockedUntil, limit, remaining, resetAt, pending, consecutiveErrors}
+   */
+  getRateLimitState() {
+    return {
+      blocked: Date.now() < this.blockedUntil,
+      blockedUntil: this.blockedUntil,
+      ...this.rateLimit,
+      pending: this.pendingStatus !== null,
+      consecutiveErrors: this.consecutiveErrors,
+    };
+  }
+
   /**
    * Update status to listening (fallback)
    * @param {string} trackName - Track name
@@ -88,36 +261,229 @@ class DiscordService {
 
   /**
    * Clear custom status
-   * @throws {Error} If update fails
+   * @param {Object} options - Clear options
+   * @param {boolean} options.wait - Wait out a rate limit instead of queueing it
+   * @returns {Promise<boolean>} True if Discord accepted the change or it is queued
    */
-  async clearStatus() {
+  async clearStatus({ wait = false } = {}) {
     try {
-      await axios.patch(
-        `${this.apiBaseUrl}/users/@me/settings`,
-        {
-          custom_status: {
-            text: '',
-            emoji_name: null,
-          },
+      if (await this.sendPriorityStatus(EMPTY_STATUS, { wait })) {
+        logger.debug('Discord status cleared');
+      }
+      return true;
+    } catch (error) {
+      logger.error('Error clearing Discord status', {
+        message: error.message,
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Remember the user's own custom status so it can be put back later
+   * A backup left on disk by a run that did not shut down cleanly is reused as is,
+   * since the status currently on Discord is then the bot's own
+   * @returns {Promise<boolean>} True if a backup from an unclean shutdown was found
+   */
+  async captureOriginalStatus() {
+    const backup = this.loadBackup();
+    if (backup !== undefined) {
+      this.originalStatus = backup;
+      this.originalStatusSaved = true;
+      return true;
+    }
+
+    try {
+      const response = await axios.get(`${this.apiBaseUrl}/users/@me/settings`, {
+        headers: {
+          Authorization: this.userToken,
         },
-        {
-          headers: {
-            Authorization: this.userToken,
-            'Content-Type': 'application/json',
-          },
-          timeout: 5000,
-        }
-      );
+        timeout: 5000,
+      });
 
-      this.lastStatus = null;
-      logger.debug('Discord status cleared');
+      this.originalStatus = normalizeStatus(response.data?.custom_status);
+      this.originalStatusSaved = true;
+      // Lets a restore before the first lyric skip the request
+      this.lastStatus = JSON.stringify(this.originalStatus || EMPTY_STATUS);
+      this.saveBackup();
+      logger.info('Saved original Discord status', {
+        text: this.originalStatus ? this.originalStatus.text : undefined,
+      });
     } catch (error) {
-      logger.error('Error clearing Discord status', {
+      logger.warn('Could not read current Discord status, it will be cleared instead of restored', {
+        status: error.response?.status,
+        message: error.message,
+      });
+    }
+
+    return false;
+  }
+
+  /**
+   * Put the user's own status back, or clear the status if there is none to restore
+   * @param {Object} options - Restore options
+   * @param {boolean} options.wait - Wait out a rate limit instead of queueing it
+   * @returns {Promise<boolean>} True if Discord accepted the status or it is queued
+   */
+  async restoreOriginalStatus({ wait = false } = {}) {
+    const original = this.originalStatus;
+    const expired = original?.expires_at && Date.parse(original.expires_at) <= Date.now();
+
+    if (!original || expired) {
+      return this.clearStatus({ wait });
+    }
+
+    try {
+      if (await this.sendPriorityStatus(original, { wait })) {
+        logger.info('Original Discord status restored', {
+          text: original.text,
+        });
+      }
+      return true;
+    } catch (error) {
+      logger.error('Error restoring Discord status', {
         message: error.message,
       });
+      return false;
+    }
+  }
+
+  /**
+   * Delete the on-disk backup after a clean shutdown
+   */
+  discardOriginalStatus() {
+    if (!this.originalStatusSaved) {
+      return;
+    }
+
+    try {
+      fs.unlinkSync(this.backupFile);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Failed to delete Discord status backup', {
+          file: this.backupFile,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  /**
+   * Read the status backup from disk
+   * @returns {Object|null|undefined} Saved status, null if the user had none, undefined if there is no backup
+   */
+  loadBackup() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.backupFile, 'utf8'));
+      return normalizeStatus(data.customStatus);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Discord status backup unreadable, ignoring it', {
+          file: this.backupFile,
+          error: error.message,
+        });
+      }
+      return undefined;
+    }
+  }
+
+  /**
+   * Persist the original status so it survives a crash
+   */
+  saveBackup() {
+    try {
+      fs.mkdirSync(path.dirname(this.backupFile), { recursive: true });
+      fs.writeFileSync(
+        this.backupFile,
+        JSON.stringify({ customStatus: this.originalStatus, savedAt: new Date().toISOString() }, null, 2)
+      );
+    } catch (error) {
+      logger.warn('Failed to save Discord status backup', {
+        file: this.backupFile,
+        error: error.message,
+      });
     }
   }
 
+  /**
+   * Send a clear or restore, which replaces any queued lyric
+   * While rate limited it is queued for the retry loop instead, so callers inside the poll
+   * never stall. With `wait` (at shutdown, when nothing would send it later) the block is
+   * waited out and a 429 retried
+   * @param {Object} customStatus - custom_status payload
+   * @param {Object} options - Send options
+   * @param {boolean} options.wait - Wait for the rate limit instead of queueing
+   * @returns {Promise<boolean>} True if sent or already showing, false if queued
+   * @throws {Error} If Discord rejects it or stays rate limited too long
+   */
+  async sendPriorityStatus(customStatus, { wait = false } = {}) {
+    if (JSON.stringify(customStatus) === this.lastStatus) {
+      // Already showing; a queued lyric must not replace it
+      this.pendingStatus = null;
+      return true;
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      const blocked = this.blockedUntil - Date.now();
+      if (blocked > 0 && !wait) {
+        logger.debug('Discord rate limited, status change queued', { blocked });
+        this.queueStatus(customStatus);
+        return false;
+      }
+      if (blocked > MAX_BLOCK_WAIT) {
+        throw new Error(`Discord rate limited for another ${Math.ceil(blocked / 1000)}s`);
+      }
+      if (blocked > 0) {
+        // This call sends it now, so the retry loop must not send a queued copy as well
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        this.pendingStatus = null;
+        logger.debug('Waiting for Discord rate limit before changing status', { blocked });
+        await new Promise((resolve) => setTimeout(resolve, blocked));
+      }
+
+      // Set after the wait so a lyric queued meanwhile cannot follow it
+      this.pendingStatus = null;
+      try {
+        const response = await this.patchCustomStatus(customStatus);
+        this.lastStatus = JSON.stringify(customStatus);
+        this.consecutiveErrors = 0;
+        this.readRateLimitHeaders(response.headers);
+        return true;
+      } catch (error) {
+        if (error.response?.status !== 429 || attempt >= MAX_PRIORITY_ATTEMPTS) {
+          throw error;
+        }
+        this.readRateLimitHeaders(error.response.headers);
+        this.block(getRetryAfter(error.response));
+        logger.warn('Discord rate limited, retrying status change', {
+          retryAfter: getRetryAfter(error.response),
+        });
+      }
+    }
+  }
+
+  /**
+   * PATCH the custom_status user setting
+   * @param {Object} customStatus - custom_status payload
+   * @returns {Promise<Object>} Axios response
+   */
+  patchCustomStatus(customStatus) {
+    return axios.patch(
+      `${this.apiBaseUrl}/users/@me/settings`,
+      {
+        custom_status: customStatus,
+      },
+      {
+        headers: {
+          Authorization: this.userToken,
+          'Content-Type': 'application/json',
+        },
+        timeout: 5000,
+      }
+    );
+  }
+
   /**
    * Check if service is ready
    * @returns {boolean} Always true for user token
@@ -130,8 +496,64 @@ class DiscordService {
    * Logout (no-op for user token)
    */
   async logout() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
     logger.info('Discord service stopped');
   }
 }
 
+/**
+ * Read how long to wait after a 429, from the body or the Retry-After header
+ * @param {Object} response - Axios error response
+ * @returns {number} Milliseconds to wait
+ */
+function getRetryAfter(response) {
+  const seconds = parseFloat(response.data?.retry_after ?? response.headers?.['retry-after']);
+  return Number.isNaN(seconds) ? SERVER_ERROR_BACKOFF_MAX : Math.ceil(seconds * 1000);
+}
+
+/**
+ * Reduce a custom_status from Discord to the fields the bot sends
+ * @param {Object|null} customStatus - custom_status setting
+ * @returns {Object|null} custom_status payload or null if nothing is set
+ */
+function normalizeStatus(customStatus) {
+  if (!customStatus || (!customStatus.text && !customStatus.emoji_name && !customStatus.emoji_id)) {
+    return null;
+  }
+
+  return {
+    text: customStatus.text || '',
+    emoji_name: customStatus.emoji_name || null,
+    emoji_id: customStatus.emoji_id ? String(customStatus.emoji_id) : null,
+    expires_at: customStatus.expires_at || null,
+  };
+}
+
+/**
+ * Convert an emoji setting into custom_status emoji fields
+ * @param {string|Object|null} emoji - Unicode emoji, "<:name:id>" / "<a:name:id>", or {id, name}
+ * @returns {Object} {emoji_name, emoji_id}
+ */
+function parseEmoji(emoji) {
+  if (!emoji) {
+    return { emoji_name: null, emoji_id: null };
+  }
+
+  if (typeof emoji === 'object') {
+    return { emoji_name: emoji.name || null, emoji_id: emoji.id ? String(emoji.id) : null };
+  }
+
+  const custom = emoji.match(/^<a?:(\w+):(\d+)>$/);
+  if (custom) {
+    return { emoji_name: custom[1], emoji_id: custom[2] };
+  }
+
+  return { emoji_name: emoji, emoji_id: null };
+}
+
+DiscordService.API_BASE = DISCORD_API_BASE;
+
 module.exports = DiscordService;
@@ -0,0 +1,66 @@
+/**
+ * Discord Sink Module
+ * Status sink showing statuses as the Discord custom status
+ * Clearing puts the user's own status back instead of leaving an empty one
+ */
+
+const logger = require('./logger');
+
+class DiscordSink {
+  /**
+   * @param {DiscordService} discord - Discord service to send through
+   */
+  constructor(discord) {
+    this.name = 'discord';
+    this.discord = discord;
+  }
+
+  /**
+   * Remember the user's own status; a leftover backup means the last run crashed
+   */
+  async start() {
+    const recovered = await this.discord.captureOriginalStatus();
+    if (recovered) {
+      logger.warn('Previous run did not shut down cleanly, restoring the original status');
+      await this.discord.restoreOriginalStatus();
+    }
+  }
+
+  /**
+   * Show a status
+   * @param {Object} status - {text, emoji, expiresAt}
+   */
+  async setStatus({ text, emoji, expiresAt }) {
+    await this.discord.setLyricStatus(text, { emoji, expiresAt });
+  }
+
+  /**
+   * Put the user's own status back
+   * @returns {Promise<boolean>} True if Discord accepted it or it is queued
+   */
+  clear() {
+    return this.discord.restoreOriginalStatus();
+  }
+
+  /**
+   * Restore the user's own status and stop
+   * Waits out a rate limit, as nothing would send a queued status after this
+   * The backup is kept if Discord is unreachable so the next start can restore it
+   */
+  async close() {
+    if (await this.discord.restoreOriginalStatus({ wait: true })) {
+      this.discord.discardOriginalStatus();
+    }
+    await this.discord.logout();
+  }
+
+  /**
+   * Limits Discord reported on the last responses
+   * @returns {Object} See DiscordService.getRateLimitState()
+   */
+  getRateLimitState() {
+    return this.discord.getRateLimitState();
+  }
+}
+
+module.exports = DiscordSink;
@@ -0,0 +1,216 @@
+/**
+ * Listening Statistics Module
+ * Summarizes recorded plays: top tracks and artists, listening time and lyrics coverage
+ */
+
+// Shorter plays count as skips: they add listening time but not a play
+const MIN_PLAY_MS = 30000;
+
+class HistoryStats {
+  /**
+   * @param {Array} plays - Plays from HistoryStore.read()
+   * @param {Object} options - Stats options
+   * @param {number} options.minPlayMs - Minimum listened time for a play to count
+   */
+  constructor(plays, { minPlayMs = MIN_PLAY_MS } = {}) {
+    this.plays = plays;
+    this.minPlayMs = minPlayMs;
+  }
+
+  /**
+   * Build the summary
+   * @param {Object} options - Summary options
+   * @param {number} options.top - Entries per ranking
+   * @returns {Object} {plays, skips, listenedMs, topTracks, topArtists, lyrics, missingLyrics}
+   */
+  summarize({ top = 10 } = {}) {
+    const tracks = new Map();
+    const artists = new Map();
+    let counted = 0;
+    let listenedMs = 0;
+
+    this.plays.forEach((play) => {
+      const isPlay = play.listenedMs >= this.minPlayMs;
+      listenedMs += play.listenedMs || 0;
+      if (isPlay) {
+        counted += 1;
+      }
+
+      const track = getEntry(tracks, play.trackId, () => ({
+        trackId: play.trackId,
+        type: play.type,
+        name: play.name,
+        artists: play.artists,
+        plays: 0,
+        listenedMs: 0,
+        lyricsFound: null,
+        lyricsSource: null,
+      }));
+      track.plays += isPlay ? 1 : 0;
+      track.listenedMs += play.listenedMs || 0;
+      // The latest lookup decides; null means it never finished
+      if (play.lyricsFound !== null && play.lyricsFound !== undefined) {
+        track.lyricsFound = play.lyricsFound;
+        track.lyricsSource = play.lyricsSource || null;
+      }
+
+      if (play.type === 'track') {
+        listArtists(play.artists).forEach((name) => {
+          const artist = getEntry(artists, name.toLowerCase(), () => ({
+            artist: name,
+            plays: 0,
+            listenedMs: 0,
+          }));
+          artist.plays += isPlay ? 1 : 0;
+          artist.listenedMs += play.listenedMs || 0;
+        });
+      }
+    });
+
+    const songs = [...tracks.values()].filter((track) => track.type === 'track');
+    const looked = songs.filter((track) => track.lyricsFound !== null);
+    const withLyrics = looked.filter((track) => track.lyricsFound);
+    const bySources = {};
+    withLyrics.forEach((track) => {
+      const source = track.lyricsSource || 'unknown';
+      bySources[source] = (bySources[source] || 0) + 1;
+    });
+
+    return {
+      plays: counted,
+      skips: this.plays.length - counted,
+      listenedMs,
+      topTracks: rank(songs, top).map(toTrackSummary),
+      topArtists: rank([...artists.values()], top),
+      lyrics: {
+        tracks: looked.length,
+        found: withLyrics.length,
+        coverage: looked.length > 0 ? withLyrics.length / looked.length : null,
+        sources: bySources,
+      },
+      missingLyrics: rank(
+        looked.filter((track) => !track.lyricsFound),
+        top
+      ).map(toTrackSummary),
+    };
+  }
+
+  /**
+   * Render a summary as a plain-text report
+   * @param {Object} summary - Result of summarize()
+   * @param {Object} range - {from, to} Date objects shown in the heading (either may be null)
+   * @returns {string} Report
+   */
+  static formatReport(summary, { from = null, to = null } = {}) {
+    const lines = [];
+    // Local calendar day, matching how --from and --to are read
+    const day = (date) =>
+      [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, '0'),
+        String(date.getDate()).padStart(2, '0'),
+      ].join('-');
+    lines.push(`Listening stats ${from ? day(from) : 'start'} to ${to ? day(to) : 'now'}`);
+    lines.push('');
+    lines.push(`Listening time: ${formatHours(summary.listenedMs)}`);
+    lines.push(`Plays: ${summary.plays} (${summary.skips} skipped)`);
+
+    const { lyrics } = summary;
+    if (lyrics.coverage !== null) {
+      const sources = Object.entries(lyrics.sources)
+        .map(([source, count]) => `${source} ${count}`)
+        .join(', ');
+      lines.push(
+        `Lyrics coverage: ${Math.round(lyrics.coverage * 100)}% ` +
+          `(${lyrics.found} of ${lyrics.tracks} tracks${sources ? `; ${sources}` : ''})`
+      );
+    }
+
+    const section = (title, entries, describe) => {
+      if (entries.length === 0) return;
+      lines.push('', `${title}:`);
+      entries.forEach((entry, index) => {
+        lines.push(`${String(index + 1).padStart(3)}. ${describe(entry)}`);
+      });
+    };
+
+    section('Top tracks', summary.topTracks, (track) => {
+      const time = formatHours(track.listenedMs);
+      return `${track.name} - ${track.artists} (${track.plays} plays, ${time})`;
+    });
+    section('Top artists', summary.topArtists, (artist) => {
+      return `${artist.artist} (${artist.plays} plays, ${formatHours(artist.listenedMs)})`;
+    });
+    section('Most played without lyrics', summary.missingLyrics, (track) => {
+      return `${track.name} - ${track.artists} (${track.plays} plays)`;
+    });
+
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Get a map entry, creating it first if needed
+ * @param {Map} map - Map to look in
+ * @param {string} key - Entry key
+ * @param {Function} create - Builds a new entry
+ * @returns {Object} Entry
+ */
+function getEntry(map, key, create) {
+  if (!map.has(key)) {
+    map.set(key, create());
+  }
+  return map.get(key);
+}
+
+/**
+ * Sort by plays, then listening time, and keep the first entries
+ * Entries that were only ever skipped are left out
+ * @param {Array} entries - Entries with plays and listenedMs
+ * @param {number} top - Entries to keep
+ * @returns {Array} Ranked entries
+ */
+function rank(entries, top) {
+  return entries
+    .filter((entry) => entry.plays > 0)
+    .sort((a, b) => b.plays - a.plays || (b.listenedMs || 0) - (a.listenedMs || 0))
+    .slice(0, top);
+}
+
+/**
+ * Public fields of a track entry
+ * @param {Object} track - Track entry built in summarize()
+ * @returns {Object} {trackId, name, artists, plays, listenedMs}
+ */
+function toTrackSummary({ trackId, name, artists, plays, listenedMs }) {
+  return { trackId, name, artists, plays, listenedMs };
+}
+
+/**
+ * Split an artist string from SpotifyService ("A, B") into display names
+ * Unlike utils.splitArtists it keeps names as written and names containing "&" whole
+ * @param {string} artists - Artist string
+ * @returns {Array} Artist names
+ */
+function listArtists(artists) {
+  return (artists || '')
+    .split(', ')
+    .map((name) => name.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Format a duration as hours and minutes
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} e.g. "12h 05m" or "42m"
+ */
+function formatHours(ms) {
+  const totalMinutes = Math.round((ms || 0) / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? `${hours}h ${String(minutes).padStart(2, '0')}m` : `${minutes}m`;
+}
+
+HistoryStats.MIN_PLAY_MS = MIN_PLAY_MS;
+
+module.exports = HistoryStats;
@@ -0,0 +1,139 @@
+/**
+ * Listening History Store Module
+ * Append-only JSONL log of plays, one line per track or episode
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Columns of a CSV export, in order
+const CSV_COLUMNS = [
+  'trackId',
+  'type',
+  'name',
+  'artists',
+  'album',
+  'startedAt',
+  'endedAt',
+  'listenedMs',
+  'durationMs',
+  'lyricsFound',
+  'lyricsSource',
+];
+
+class HistoryStore {
+  /**
+   * @param {string} filePath - JSONL file holding the plays
+   */
+  constructor(filePath = path.join('.data', 'history.jsonl')) {
+    this.filePath = path.resolve(filePath);
+  }
+
+  /**
+   * Append one play
+   * @param {Object} play - {trackId, type, name, artists, album, startedAt, endedAt,
+   *   listenedMs, durationMs, lyricsFound, lyricsSource}
+   */
+  record(play) {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, `${JSON.stringify(play)}\n`);
+      logger.debug('Play recorded', {
+        track: play.name,
+        listenedMs: play.listenedMs,
+      });
+    } catch (error) {
+      logger.warn('Failed to record play', {
+        file: this.filePath,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Read plays that started within a time range
+   * Damaged lines (e.g. cut off by a crash) are skipped
+   * @param {Object} range - {from, to} as Date objects (either may be omitted)
+   * @returns {Array} Plays in file order
+   */
+  read({ from = null, to = null } = {}) {
+    let content;
+    try {
+      content = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Listening history unreadable', {
+          file: this.filePath,
+          error: error.message,
+        });
+      }
+      return [];
+    }
+
+    const plays = [];
+    let skipped = 0;
+    content.split('\n').forEach((line) => {
+      if (!line.trim()) {
+        return;
+      }
+
+      let play;
+      try {
+        play = JSON.parse(line);
+      } catch (error) {
+        skipped += 1;
+        return;
+      }
+
+      const startedAt = new Date(play.startedAt);
+      if ((from && startedAt < from) || (to && startedAt > to)) {
+        return;
+      }
+      plays.push(play);
+    });
+
+    if (skipped > 0) {
+      logger.warn('Skipped damaged listening history lines', { skipped });
+    }
+    return plays;
+  }
+
+  /**
+   * Write plays to a file, as CSV or JSON depending on its extension
+   * @param {Array} plays - Plays to export
+   * @param {string} filePath - Target file (.csv or .json)
+   * @throws {Error} If the extension is not supported
+   */
+  exportPlays(plays, filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    let content;
+
+    if (extension === '.json') {
+      content = JSON.stringify(plays, null, 2);
+    } else if (extension === '.csv') {
+      const rows = plays.map((play) => CSV_COLUMNS.map((column) => toCsvValue(play[column])));
+      content = [CSV_COLUMNS, ...rows].map((row) => row.join(',')).join('\n');
+    } else {
+      throw new Error(`Unsupported export format "${extension}" (use .csv or .json)`);
+    }
+
+    fs.writeFileSync(filePath, `${content}\n`);
+  }
+}
+
+/**
+ * Quote a CSV value when needed
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function toCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = HistoryStore;
@@ -2,37 +2,186 @@
  * Main Bot Orchestrator
  * Coordinates Spotify polling, lyrics fetching, and Discord status updates
  * Implements polling loop with diff-checking and rate limiting
+ * Lyric changes are scheduled at their exact timestamps between polls
  */
 
 require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
 const logger = require('./logger');
 const SpotifyService = require('./spotifyService');
+const SpotifyAuth = require('./spotifyAuth');
 const LyricsService = require('./lyricsService');
+const LocalLrcProvider = require('./localLrcProvider');
+const OffsetStore = require('./offsetStore');
+const StatusFormatter = require('./statusFormatter');
 const DiscordService = require('./discordService');
-const { getLyricAtProgress, truncateLyric, LyricsCache, RateLimiter, DiffChecker } = require(
-  './utils'
-);
-
-// Configuration from environment
-const CONFIG = {
-  DISCORD_USER_TOKEN: process.env.DISCORD_USER_TOKEN,
-  SPOTIFY_CLIENT_ID: process.env.SPOTIFY_CLIENT_ID,
-  SPOTIFY_CLIENT_SECRET: process.env.SPOTIFY_CLIENT_SECRET,
-  SPOTIFY_REFRESH_TOKEN: process.env.SPOTIFY_REFRESH_TOKEN,
-  POLLING_INTERVAL: parseInt(process.env.POLLING_INTERVAL || '3500', 10),
-  CACHE_ENABLED: process.env.CACHE_ENABLED !== 'false',
-  RATE_LIMIT_THRESHOLD: parseInt(process.env.RATE_LIMIT_THRESHOLD || '1000', 10),
-  SYNC_OFFSET: parseInt(process.env.SYNC_OFFSET || '0', 10),
+const DiscordSink = require('./discordSink');
+const ConsoleSink = require('./consoleSink');
+const ObsTextSink = require('./obsTextSink');
+const WebhookSink = require('./webhookSink');
+const StatusOutput = require('./statusOutput');
+const LyricScheduler = require('./lyricScheduler');
+const LyricsCache = require('./lyricsCache');
+const ControlServer = require('./controlServer');
+const PrivacyFilter = require('./privacyFilter');
+const StatusSchedule = require('./statusSchedule');
+const HistoryStore = require('./historyStore');
+const HistoryStats = require('./historyStats');
+const SimulatedSpotify = require('./simulatedSpotify');
+const DiscordRecorder = require('./discordRecorder');
+const ConfigLoader = require('./configLoader');
+const { CONFIG_SCHEMA, STATUS_STATES } = require('./configSchema');
+const {
+  parseLRC,
+  getLyricIndexAtProgress,
+  PlaybackClock,
+  updateEnvFile,
+  formatDuration,
+} = require('./utils');
+
+// File dotenv reads; `auth` and token rotation write the refresh token back to it
+// unless the config file sets the token
+const ENV_FILE = '.env';
+
+// Optional JSON/YAML settings file; its values take precedence over the environment
+const configLoader = new ConfigLoader(CONFIG_SCHEMA, { file: process.env.CONFIG_FILE });
+
+// Checked settings, filled in by loadConfig() before anything else runs
+const CONFIG = {};
+
+// Paused or idle playback must last this long before polling slows down
+const POLLING_BACKOFF_AFTER = 30000;
+// Poll this long after the expected end of a track to catch the next one quickly
+const TRACK_BOUNDARY_MARGIN = 500;
+// Never poll faster than this, even while waiting for a track to change
+const MIN_POLLING_DELAY = 1000;
+// Consecutive polling errors double the interval up to this cap
+const MAX_ERROR_BACKOFF = 60000;
+
+// Bot states; every transition is logged
+const BOT_STATES = {
+  IDLE: 'idle',
+  PLAYING: 'playing',
+  PAUSED: 'paused',
+  FETCHING_LYRICS: 'fetching-lyrics',
+  ERROR_BACKOFF: 'error-backoff',
+};
+
+// Extra time before an expiring status clears, so the next track can take over first
+const STATUS_EXPIRY_GRACE = 10000;
+// How long a manual status set through the control API stays up by default
+const MANUAL_STATUS_DURATION = 30 * 60 * 1000;
+// Snooze length when no minutes are given
+const DEFAULT_SNOOZE_MINUTES = 60;
+
+// Built-in status sinks selectable by name in STATUS_SINKS
+const BUILT_IN_SINKS = {
+  discord: () =>
+    new DiscordSink(
+      new DiscordService(CONFIG.DISCORD_USER_TOKEN, {
+        backupFile: CONFIG.STATUS_BACKUP_FILE,
+        apiBaseUrl: CONFIG.DISCORD_API_BASE,
+      })
+    ),
+  console: () => new ConsoleSink(),
+  obs: () => new ObsTextSink({ directory: CONFIG.OBS_OUTPUT_DIR }),
+  webhook: () => new WebhookSink({ url: CONFIG.WEBHOOK_URL, token: CONFIG.WEBHOOK_TOKEN }),
 };
 
-// Validate required configuration
+// Settings holding each built-in sink's lyric and estimated line templates and rate limit
+// Custom sinks use the shared templates and RATE_LIMIT_THRESHOLD
+const SINK_SETTINGS = {
+  discord: { rateLimit: 'RATE_LIMIT_THRESHOLD' },
+  console: {
+    template: 'CONSOLE_TEMPLATE',
+    estimatedTemplate: 'CONSOLE_ESTIMATED_TEMPLATE',
+    rateLimit: 'CONSOLE_RATE_LIMIT',
+  },
+  obs: {
+    template: 'OBS_TEMPLATE',
+    estimatedTemplate: 'OBS_ESTIMATED_TEMPLATE',
+    rateLimit: 'OBS_RATE_LIMIT',
+  },
+  webhook: {
+    template: 'WEBHOOK_TEMPLATE',
+    estimatedTemplate: 'WEBHOOK_ESTIMATED_TEMPLATE',
+    rateLimit: 'WEBHOOK_RATE_LIMIT',
+  },
+};
+
+// Settings `simulate --check` resets to their defaults, as it looks for lyric lines in the text
+const CHECK_DEFAULT_SETTINGS =
+  /^(STATUS_TEMPLATE_|STATUS_EMOJI_|PRIVACY_|STATUS_DISPLAY_MODE$)/;
+
+// Log message when the playing item changes, per item type
+const TRACK_CHANGE_MESSAGES = {
+  episode: 'Episode changed',
+  private: 'Private item playing',
+};
+
+/**
+ * Read and check the environment and the config file into CONFIG
+ * @throws {Error} If any setting is invalid (error.problems lists them)
+ */
+function loadConfig() {
+  Object.assign(CONFIG, buildConfig(configLoader.load()));
+  logger.setLevel(CONFIG.LOG_LEVEL);
+}
+
+/**
+ * Save a new Spotify refresh token where the current one is set: the config file if it sets
+ * SPOTIFY_REFRESH_TOKEN, .env otherwise
+ * @param {string} token - Refresh token
+ * @param {Object} options - Save options
+ * @param {boolean} options.createEnvFile - Create .env if it does not exist
+ * @returns {string} Path of the file written
+ * @throws {Error} If the file is missing or cannot be written
+ */
+function saveRefreshToken(token, { createEnvFile = false } = {}) {
+  if (configLoader.getSource('SPOTIFY_REFRESH_TOKEN') === 'file') {
+    configLoader.saveValue('SPOTIFY_REFRESH_TOKEN', token);
+    return configLoader.file;
+  }
+
+  // A token from the real environment would still win over a newly created .env
+  if (!createEnvFile && !fs.existsSync(ENV_FILE)) {
+    throw new Error(`No ${ENV_FILE} file to save it to`);
+  }
+  updateEnvFile(ENV_FILE, 'SPOTIFY_REFRESH_TOKEN', token);
+  return path.resolve(ENV_FILE);
+}
+
+/**
+ * Shape checked settings the way the bot reads them
+ * @param {Object} settings - Setting name -> value from ConfigLoader
+ * @returns {Object} The settings plus STATUS_TEMPLATES and STATUS_EMOJIS keyed by state
+ */
+function buildConfig(settings) {
+  const byState = (prefix) =>
+    Object.fromEntries(
+      Object.entries(STATUS_STATES).map(([suffix, state]) => [
+        state,
+        settings[`${prefix}${suffix}`],
+      ])
+    );
+
+  return {
+    ...settings,
+    STATUS_TEMPLATES: byState('STATUS_TEMPLATE_'),
+    STATUS_EMOJIS: byState('STATUS_EMOJI_'),
+  };
+}
+
+// Validate required configuration (types and ranges are checked when loading)
 function validateConfig() {
-  const required = [
-    'DISCORD_USER_TOKEN',
-    'SPOTIFY_CLIENT_ID',
-    'SPOTIFY_CLIENT_SECRET',
-    'SPOTIFY_REFRESH_TOKEN',
-  ];
+  const required = ['SPOTIFY_CLIENT_ID', 'SPOTIFY_REFRESH_TOKEN'];
+  // Without the Discord sink (e.g. a console dry run) no Discord token is needed
+  if (CONFIG.STATUS_SINKS.includes('discord')) {
+    required.unshift('DISCORD_USER_TOKEN');
+  }
 
   for (const key of required) {
     if (!CONFIG[key]) {
@@ -40,6 +189,10 @@ function validateConfig() {
     }
   }
 
+  if (CONFIG.CONTROL_API_ENABLED && !CONFIG.CONTROL_API_TOKEN) {
+    throw new Error('CONTROL_API_TOKEN is required when CONTROL_API_ENABLED=true');
+  }
+
   logger.info('Configuration validated');
 }
 
@@ -47,23 +200,92 @@ function validateConfig() {
  * Main bot orchestrator class
  */
 class SpotifyDiscordBot {
-  constructor() {
-    this.spotify = new SpotifyService(
-      CONFIG.SPOTIFY_CLIENT_ID,
-      CONFIG.SPOTIFY_CLIENT_SECRET,
-      CONFIG.SPOTIFY_REFRESH_TOKEN
-    );
-    this.lyrics = new LyricsService();
-    this.discord = new DiscordService(CONFIG.DISCORD_USER_TOKEN);
+  /**
+   * @param {Object} services - Replacements for the default services (used by the simulation)
+   * @param {Object} services.spotify - Object with the SpotifyService playback methods
+   * @param {LyricsService} services.lyrics - Lyrics service
+   * @param {boolean} services.commands - Read offset commands from the terminal
+   */
+  constructor({ spotify = null, lyrics = null, commands = true } = {}) {
+    this.spotify =
+      spotify ||
+      new SpotifyService(
+        CONFIG.SPOTIFY_CLIENT_ID,
+        CONFIG.SPOTIFY_CLIENT_SECRET,
+        CONFIG.SPOTIFY_REFRESH_TOKEN,
+        {
+          saveToken: (token) => saveRefreshToken(token),
+          apiBase: CONFIG.SPOTIFY_API_BASE,
+          authUrl: CONFIG.SPOTIFY_AUTH_URL,
+        }
+      );
+    this.lyrics =
+      lyrics ||
+      new LyricsService(
+        LyricsService.loadProviders(CONFIG.LYRICS_PROVIDERS, {
+          lrclibApiBase: CONFIG.LRCLIB_API_BASE,
+        })
+      );
+    // Local overrides are checked before the cache and the provider chain
+    this.localLyrics = CONFIG.LOCAL_LRC_DIR
+      ? new LocalLrcProvider({ directory: CONFIG.LOCAL_LRC_DIR })
+      : null;
 
-    this.lyricsCache = new LyricsCache();
-    this.rateLimiter = new RateLimiter(CONFIG.RATE_LIMIT_THRESHOLD);
-    this.diffChecker = new DiffChecker();
+    this.lyricsCache = CONFIG.CACHE_ENABLED
+      ? new LyricsCache({
+          directory: CONFIG.CACHE_DIR,
+          ttl: CONFIG.CACHE_TTL,
+          negativeTtl: CONFIG.CACHE_NEGATIVE_TTL,
+          maxEntries: CONFIG.CACHE_MAX_ENTRIES,
+          maxBytes: CONFIG.CACHE_MAX_BYTES,
+        })
+      : null;
+    this.privacy = this.createPrivacyFilter();
+    this.history = CONFIG.HISTORY_ENABLED ? new HistoryStore(CONFIG.HISTORY_FILE) : null;
+    this.schedule = this.createSchedule();
+    this.formatter = this.createFormatter();
+    this.outputs = this.createOutputs();
+    this.clock = new PlaybackClock();
+    this.offsets = new OffsetStore(CONFIG.OFFSETS_FILE);
+    this.scheduler = new LyricScheduler(() => this.updateStatus());
+    this.commandsEnabled = commands;
 
+    this.currentTrack = null;
     this.currentTrackId = null;
     this.currentLyrics = null;
+    this.currentLyricsSource = null;
+    this.currentLyricsFile = null;
+    this.currentLyricsEstimated = false;
+    this.displayLyrics = null;
+    this.displayLyricsFor = null;
+    this.trackOffset = 0;
     this.pollingActive = false;
-    this.pollingInterval = null;
+    this.pollTimer = null;
+    this.pollingReason = null;
+    this.pausedSince = null;
+    this.idleSince = null;
+    this.console = null;
+
+    this.state = BOT_STATES.IDLE;
+    this.pollInFlight = false;
+    this.repollPending = false;
+    this.pollErrors = 0;
+    this.lyricsRequest = null;
+    this.statusUpdate = null;
+    this.statusUpdateQueued = false;
+
+    // Runtime overrides from the control API
+    this.control = null;
+    this.updatesPaused = false;
+    this.manualStatus = null;
+    this.manualStatusTimer = null;
+
+    // Play being recorded to the listening history
+    this.currentPlay = null;
+
+    // Quiet hours: why lyric statuses are off right now (null, 'schedule' or 'snooze')
+    this.quietReason = null;
+    this.snoozedUntil = null;
   }
 
   /**
@@ -74,6 +296,28 @@ class SpotifyDiscordBot {
       logger.info('Initializing Spotify Discord Lyrics Bot');
       validateConfig();
 
+      // E.g. the Discord sink remembers the user's own status here
+      await Promise.all(this.outputs.map((output) => output.start()));
+      logger.info('Status sinks ready', {
+        sinks: this.outputs.map((output) => output.name),
+      });
+
+      if (this.localLyrics) {
+        this.localLyrics.watch((file) => this.onLocalLyricsChange(file));
+      }
+
+      if (this.commandsEnabled) {
+        this.listenForCommands();
+      }
+
+      if (CONFIG.CONTROL_API_ENABLED) {
+        this.control = new ControlServer(this, {
+          port: CONFIG.CONTROL_API_PORT,
+          token: CONFIG.CONTROL_API_TOKEN,
+        });
+        await this.control.start();
+      }
+
       // Start polling loop (no Discord login needed for user token)
       await this.startPolling();
 
@@ -100,221 +344,1684 @@ class SpotifyDiscordBot {
       interval: CONFIG.POLLING_INTERVAL,
     });
 
-    // Initial poll immediately
+    // Initial poll immediately, later polls adapt their delay to the playback state
+    await this.runPollCycle();
+  }
+
+  /**
+   * Poll once, then schedule the next poll with an adaptive delay
+   * The next poll is only armed after this one finishes, so cycles never overlap
+   */
+  async runPollCycle() {
     await this.poll();
 
-    // Then poll at regular intervals
-    this.pollingInterval = setInterval(() => {
-      this.poll();
-    }, CONFIG.POLLING_INTERVAL);
+    if (!this.pollingActive) {
+      return;
+    }
+
+    const { delay, reason } = this.getPollingDelay();
+    if (reason !== this.pollingReason) {
+      logger.info('Polling interval changed', {
+        interval: delay,
+        reason,
+      });
+      this.pollingReason = reason;
+    } else {
+      logger.debug('Next poll scheduled', {
+        in: delay,
+        reason,
+      });
+    }
+
+    this.pollTimer = setTimeout(() => this.runPollCycle(), delay);
+  }
+
+  /**
+   * Work out how long to wait before the next Spotify poll
+   * @returns {Object} {delay: ms, reason: string}
+   */
+  getPollingDelay() {
+    const now = Date.now();
+
+    if (this.state === BOT_STATES.ERROR_BACKOFF) {
+      const retryAfter = this.spotify.getRetryAfter();
+      if (retryAfter > 0) {
+        return { delay: retryAfter, reason: 'rate-limited' };
+      }
+
+      return {
+        delay: Math.min(CONFIG.POLLING_INTERVAL * 2 ** (this.pollErrors - 1), MAX_ERROR_BACKOFF),
+        reason: 'error-backoff',
+      };
+    }
+
+    if (
+      this.state === BOT_STATES.IDLE &&
+      this.idleSince !== null &&
+      now - this.idleSince >= POLLING_BACKOFF_AFTER
+    ) {
+      return { delay: CONFIG.POLLING_IDLE_INTERVAL, reason: 'idle' };
+    }
+
+    if (this.state === BOT_STATES.PAUSED && now - this.pausedSince >= POLLING_BACKOFF_AFTER) {
+      return { delay: CONFIG.POLLING_PAUSED_INTERVAL, reason: 'paused' };
+    }
+
+    // Catch the next track right after the current one should end
+    const track = this.currentTrack;
+    if (track && this.clock.isPlaying && track.duration) {
+      const remaining = track.duration - this.clock.getPosition();
+      if (remaining < CONFIG.POLLING_INTERVAL) {
+        return {
+          delay: Math.max(remaining + TRACK_BOUNDARY_MARGIN, MIN_POLLING_DELAY),
+          reason: 'track-ending',
+        };
+      }
+    }
+
+    return { delay: CONFIG.POLLING_INTERVAL, reason: 'playing' };
+  }
+
+  /**
+   * Derive the bot state from the latest poll and any pending lyric fetch
+   * @returns {string} BOT_STATES value
+   */
+  getBotState() {
+    if (this.pollErrors > 0) {
+      return BOT_STATES.ERROR_BACKOFF;
+    }
+    if (!this.currentTrack) {
+      return BOT_STATES.IDLE;
+    }
+    if (this.lyricsRequest) {
+      return BOT_STATES.FETCHING_LYRICS;
+    }
+    return this.clock.isPlaying ? BOT_STATES.PLAYING : BOT_STATES.PAUSED;
+  }
+
+  /**
+   * Move to the state derived from the current playback and log the transition
+   */
+  refreshState() {
+    const next = this.getBotState();
+    if (next === this.state) {
+      return;
+    }
+
+    logger.debug('Bot state changed', {
+      from: this.state,
+      to: next,
+      track: this.currentTrack ? this.currentTrack.name : undefined,
+    });
+    this.state = next;
   }
 
   /**
    * Single polling cycle
+   * Re-syncs the playback clock; lyric changes between polls are driven by the scheduler
+   * Only one poll runs at a time, a call made while one is in flight is skipped
    */
   async poll() {
+    if (this.pollInFlight) {
+      logger.debug('Poll already in flight, skipping');
+      return;
+    }
+
+    this.pollInFlight = true;
     try {
-      if (!this.discord.isReady()) {
-        logger.debug('Discord bot not ready yet');
+      // Fetch currently playing track; privacy rules decide what the rest of the bot sees
+      const track = this.privacy.apply(await this.spotify.getCurrentlyPlaying());
+      if (!this.pollingActive) {
         return;
       }
+      this.pollErrors = 0;
 
-      // Fetch currently playing track
-      const track = await this.spotify.getCurrentlyPlaying();
+      // Quiet hours are checked on every poll so schedule changes apply even while idle
+      await this.updateQuietHours();
 
-      if (!track) {
-        // No active playback
-        if (this.currentTrackId !== null) {
-          await this.discord.clearStatus();
-          this.currentTrackId = null;
-          this.currentLyrics = null;
-          this.diffChecker.reset();
-          logger.info('Playback stopped');
+      const skipReason = this.getSkipReason(track);
+      if (skipReason) {
+        this.pausedSince = null;
+        // Ads are short, so only real idle time (or an ignored or private item) slows polling down
+        if (skipReason === 'ad' || skipReason === 'unknown') {
+          this.idleSince = null;
+        } else if (this.idleSince === null) {
+          this.idleSince = Date.now();
         }
+
+        await this.stopPlayback(skipReason);
+        this.refreshState();
         return;
       }
 
-      // If track changed, reset lyrics cache for this track
-      if (track.id !== this.currentTrackId) {
+      this.idleSince = null;
+      if (track.isPlaying) {
+        this.pausedSince = null;
+      } else if (this.pausedSince === null) {
+        this.pausedSince = Date.now();
+      }
+
+      // Anchor the local clock before any slow work so the position stays accurate
+      const resync = this.clock.update(track);
+      if (resync) {
+        this.scheduler.cancel();
+        logger.debug('Playback clock re-synced', {
+          reason: resync,
+          progress: track.progress,
+        });
+      }
+
+      const trackChanged = track.id !== this.currentTrackId;
+      // A privacy rule removed by a settings reload reveals the track still playing
+      const unblocked =
+        !trackChanged && this.currentTrack?.type === 'private' && track.type === 'track';
+      // Before the lyrics are reset, so a finished play records whether it had any
+      this.trackPlay(track, trackChanged);
+
+      if (trackChanged) {
         this.currentTrackId = track.id;
         this.currentLyrics = null;
-        this.diffChecker.reset();
-        logger.info('Track changed', {
-          track: track.name,
-          artist: track.artists,
+        this.currentLyricsSource = null;
+        this.currentLyricsFile = null;
+        this.currentLyricsEstimated = false;
+        this.lyricsRequest = null;
+        this.scheduler.cancel();
+        this.resetOutputs();
+        this.trackOffset = this.offsets.getOffset(track);
+        logger.info(TRACK_CHANGE_MESSAGES[track.type] || 'Track changed', {
+          track: track.name || undefined,
+          artist: track.artists || undefined,
+          offset: this.trackOffset || undefined,
         });
-
-        // Fetch lyrics for new track
-        await this.fetchAndCacheLyrics(track);
       }
 
-      // Skip update if track is paused
-      if (!track.isPlaying) {
-        logger.debug('Track is paused');
+      this.currentTrack = track;
+
+      // Episodes and private items have no lyrics; their status comes from their own template
+      if ((trackChanged || unblocked) && track.type === 'track') {
+        // Not awaited: polling keeps the clock in sync while a slow provider answers,
+        // and the fetch pushes the first status itself once its lyrics are applied
+        this.fetchAndCacheLyrics(track);
         return;
       }
 
-      // Get current lyric line (with sync offset for network delay)
-      const progressWithOffset = track.progress + CONFIG.SYNC_OFFSET;
-      const currentLyric = this.getCurrentLyric(progressWithOffset);
-
-      // Prepare status text
-      let statusText;
-      if (currentLyric) {
-        statusText = truncateLyric(currentLyric, '♪ ');
-      } else if (this.currentLyrics && this.currentLyrics.length > 0) {
-        // Has lyrics but no line at current time (intro/instrumental)
-        statusText = `🎵 ${track.name}`;
-      } else {
-        // No lyrics available at all
-        statusText = `🎵 Listening to ${track.name}`;
-      }
+      this.refreshState();
 
-      // Check if status has changed
-      if (!this.diffChecker.hasChanged(statusText)) {
-        logger.debug('Status unchanged, skipping update');
-        return;
+      // Paused tracks only get a status if the paused template is set
+      if (!track.isPlaying) {
+        logger.debug('Track is paused');
       }
 
-      // Check rate limiting
-      if (!this.rateLimiter.canUpdate()) {
-        logger.debug('Rate limit threshold not met');
+      await this.updateStatus();
+    } catch (error) {
+      this.pollErrors += 1;
+      this.refreshState();
+
+      if (error.retryAfter) {
+        // Already logged by SpotifyService; the next poll waits for Retry-After
         return;
       }
 
-      // Update Discord status
-      await this.discord.setLyricStatus(statusText);
-    } catch (error) {
       logger.error('Polling cycle error', {
         message: error.message,
+        consecutiveErrors: this.pollErrors,
       });
       // Continue polling despite errors
+    } finally {
+      this.pollInFlight = false;
+      // Requested while this poll was running, see repoll()
+      if (this.repollPending) {
+        this.repollPending = false;
+        await this.poll();
+      }
     }
   }
 
   /**
-   * Fetch lyrics for a track and cache them
-   * @param {Object} track - Track object from Spotify
+   * Poll right away outside the regular cycle
+   * A poll already in flight may have used outdated settings, so it is followed by another
    */
-  async fetchAndCacheLyrics(track) {
+  async repoll() {
+    if (this.pollInFlight) {
+      this.repollPending = true;
+      return;
+    }
+    await this.poll();
+  }
+
+  /**
+   * Work out why a poll result has nothing to show
+   * @param {Object|null} track - Result of SpotifyService.getCurrentlyPlaying()
+   * @returns {string|null} 'no playback', 'ad', 'unknown', 'podcast ignored' or null to show it
+   */
+  getSkipReason(track) {
+    if (!track) {
+      return 'no playback';
+    }
+    if (track.type === 'ad' || track.type === 'unknown') {
+      return track.type;
+    }
+    if (track.type === 'episode' && CONFIG.IGNORE_PODCASTS) {
+      return 'podcast ignored';
+    }
+    if (track.type === 'hidden') {
+      return 'private';
+    }
+    return null;
+  }
+
+  /**
+   * Forget the current track and put the user's own status back
+   * @param {string} reason - Why playback is considered stopped
+   */
+  async stopPlayback(reason) {
+    if (this.currentTrackId === null) {
+      return;
+    }
+
+    this.finishPlay();
+    this.scheduler.cancel();
+    this.currentTrack = null;
+    this.currentTrackId = null;
+    this.currentLyrics = null;
+    this.currentLyricsSource = null;
+    this.currentLyricsFile = null;
+    this.currentLyricsEstimated = false;
+    this.lyricsRequest = null;
+    this.clock.reset();
+    this.resetOutputs();
+
+    // A paused bot already restored it; a manual status stays until it expires
+    if (!this.updatesPaused && !this.manualStatus) {
+      await this.clearOutputs();
+    }
+    logger.info('Playback stopped', { reason });
+  }
+
+  /**
+   * Push the lyric for the current clock position to Discord and plan the next change
+   * Called after each poll and whenever the scheduler fires
+   * Only one update runs at a time; calls made meanwhile are coalesced into one rerun
+   * @returns {Promise} Resolves when the in-flight update (and its rerun) is done
+   */
+  updateStatus() {
+    if (this.statusUpdate) {
+      this.statusUpdateQueued = true;
+      return this.statusUpdate;
+    }
+
+    this.statusUpdate = (async () => {
+      try {
+        do {
+          this.statusUpdateQueued = false;
+          await this.pushStatus();
+        } while (this.statusUpdateQueued);
+      } finally {
+        this.statusUpdate = null;
+      }
+    })();
+
+    return this.statusUpdate;
+  }
+
+  /**
+   * Build the status for the current position and hand it to every output
+   * Each output renders, diff-checks and rate-limits it on its own
+   */
+  async pushStatus() {
     try {
-      // Check cache first
-      if (CONFIG.CACHE_ENABLED) {
-        const cached = this.lyricsCache.get(track.name, track.artists);
-        if (cached) {
-          this.currentLyrics = cached;
-          logger.debug('Lyrics loaded from cache', {
-            track: track.name,
-          });
+      if (!this.pollingActive || this.updatesPaused) {
+        return;
+      }
+
+      // A manual status overrides the lyrics until it expires
+      let status = this.manualStatus ? { ...this.manualStatus, state: 'manual' } : null;
+      if (!status) {
+        // Quiet hours with the restore action leave the user's own status up
+        if (this.isQuietRestoring()) {
           return;
         }
-      }
 
-      logger.debug('Fetching lyrics from LRCLIB', {
-        track: track.name,
-      });
+        const track = this.currentTrack;
+        if (!track) {
+          return;
+        }
 
-      const lyrics = await this.lyrics.fetchAndParseLyrics(
-        track.name,
-        track.artists,
-        track.duration
-      );
+        // Hold the previous status until the new track's lyrics are known
+        if (this.lyricsRequest) {
+          logger.debug('Lyrics still loading, status update deferred');
+          return;
+        }
 
-      if (lyrics) {
-        this.currentLyrics = lyrics;
+        status = this.buildStatus(track);
+      }
 
-        // Cache lyrics if enabled
-        if (CONFIG.CACHE_ENABLED) {
-          this.lyricsCache.set(track.name, track.artists, lyrics);
-          logger.debug('Lyrics cached', {
-            track: track.name,
-            lines: lyrics.length,
-          });
-        }
-      } else {
-        logger.info('No lyrics found for track', {
-          track: track.name,
-          artist: track.artists,
-        });
-        this.currentLyrics = null;
+      this.planNextLyric();
+      const waits = await Promise.all(this.outputs.map((output) => output.push(status)));
+
+      // An output held back by its rate limit gets the status again once it may send
+      const wait = Math.min(...waits.filter((delay) => delay > 0));
+      if (Number.isFinite(wait) && this.pollingActive) {
+        this.scheduler.retryWithin(wait);
       }
     } catch (error) {
-      logger.error('Failed to fetch lyrics', {
-        track: track.name,
-        error: error.message,
+      logger.error('Status update error', {
+        message: error.message,
       });
-      this.currentLyrics = null;
     }
   }
 
   /**
-   * Get current lyric line based on playback progress
-   * @param {number} progressMs - Current playback progress in milliseconds
-   * @returns {string|null} Current lyric line or null
+   * Collect what the outputs need to render the status for the current playback state
+   * @param {Object} track - Track object from Spotify
+   * @returns {Object} {state, fields, progress, duration, expiresAt}
    */
-  getCurrentLyric(progressMs) {
-    if (!this.currentLyrics || this.currentLyrics.length === 0) {
-      return null;
+  buildStatus(track) {
+    return {
+      state: this.getStatusState(),
+      fields: this.getStatusFields(track),
+      progress: this.clock.getPosition(),
+      duration: track.duration,
+      expiresAt: this.getStatusExpiry(track),
+    };
+  }
+
+  /**
+   * Work out which status template applies right now
+   * @returns {string} Template state
+   */
+  getStatusState() {
+    if (this.quietReason) {
+      return 'quiet';
+    }
+
+    if (!this.clock.isPlaying) {
+      return 'paused';
+    }
+
+    if (this.currentTrack && this.currentTrack.type === 'episode') {
+      return 'podcast';
+    }
+
+    if (this.currentTrack && this.currentTrack.type === 'private') {
+      return 'private';
+    }
+
+    // No lyrics available at all, or none may be shown for this track
+    if (
+      !this.currentLyrics ||
+      this.currentLyrics.length === 0 ||
+      this.currentTrack?.lyricsFilter === 'hide'
+    ) {
+      return 'noLyrics';
+    }
+
+    // Has lyrics but no line at current time (intro/instrumental)
+    if (getLyricIndexAtProgress(this.getDisplayLyrics(), this.getLyricPosition()) === -1) {
+      return 'gap';
     }
 
-    return getLyricAtProgress(this.currentLyrics, progressMs);
+    // Timings guessed from plain lyrics get their own template so they are marked
+    return this.currentLyricsEstimated && this.formatter.hasTemplate('estimated')
+      ? 'estimated'
+      : 'lyric';
   }
 
   /**
-   * Stop polling and cleanup
+   * Collect template placeholder values for the current position
+   * @param {Object} track - Track object from Spotify
+   * @returns {Object} Placeholder values
    */
-  async shutdown() {
-    logger.info('Shutting down bot');
+  getStatusFields(track) {
+    const fields = {
+      track: track.name,
+      artist: track.artists,
+      album: track.album,
+      show: track.show || '',
+      chapter: track.chapter || '',
+      lyric: '',
+      next: '',
+    };
 
-    this.pollingActive = false;
-    if (this.pollingInterval) {
-      clearInterval(this.pollingInterval);
+    // Hidden lyrics stay out of every template, not just the lyric state
+    const hidden = track.lyricsFilter === 'hide';
+    if (!hidden && this.currentLyrics && this.currentLyrics.length > 0) {
+      // Get current lyric line (with sync offset for network delay)
+      const lyrics = this.getDisplayLyrics();
+      const index = getLyricIndexAtProgress(lyrics, this.getLyricPosition());
+      const next = lyrics[index + 1];
+      fields.lyric = index >= 0 ? lyrics[index].lyric : '';
+      fields.next = next ? next.lyric : '';
+
+      if (track.lyricsFilter === 'mask') {
+        fields.lyric = this.privacy.mask(fields.lyric);
+        fields.next = this.privacy.mask(fields.next);
+      }
     }
 
-    await this.discord.clearStatus();
-    await this.discord.logout();
+    return fields;
+  }
 
-    logger.info('Bot shutdown complete');
+  /**
+   * Lyrics as the status shows them, e.g. with long lines split in chunks display mode
+   * Rebuilt whenever the current lyrics are replaced
+   * @returns {Array} Display timeline
+   */
+  getDisplayLyrics() {
+    if (this.displayLyricsFor !== this.currentLyrics) {
+      this.displayLyrics = this.formatter.buildTimeline(this.currentLyrics);
+      this.displayLyricsFor = this.currentLyrics;
+    }
+    return this.displayLyrics;
   }
-}
 
-/**
- * Main execution
- */
-async function main() {
-  const bot = new SpotifyDiscordBot();
+  /**
+   * Work out when the status should clear itself: the end of the track, rounded up to a minute
+   * Rounding keeps the value stable between polls so it does not defeat the diff check
+   * @param {Object} track - Track object from Spotify
+   * @returns {number|null} Expiry timestamp in milliseconds or null for no expiry
+   */
+  getStatusExpiry(track) {
+    if (!CONFIG.STATUS_EXPIRY_ENABLED || !this.clock.isPlaying || !track.duration) {
+      return null;
+    }
 
-  // Handle graceful shutdown
-  process.on('SIGINT', async () => {
-    logger.info('Received SIGINT signal');
-    await bot.shutdown();
-    process.exit(0);
-  });
+    const remaining = Math.max(0, track.duration - this.clock.getPosition());
+    return Math.ceil((Date.now() + remaining + STATUS_EXPIRY_GRACE) / 60000) * 60000;
+  }
 
-  process.on('SIGTERM', async () => {
-    logger.info('Received SIGTERM signal');
-    await bot.shutdown();
-    process.exit(0);
-  });
+  /**
+   * Schedule the next status update at the next lyric timestamp
+   */
+  planNextLyric() {
+    if (
+      this.manualStatus ||
+      this.quietReason ||
+      !this.clock.isPlaying ||
+      !this.currentLyrics ||
+      this.currentLyrics.length === 0
+    ) {
+      this.scheduler.cancel();
+      return;
+    }
 
-  process.on('uncaughtException', async (error) => {
-    logger.error('Uncaught exception', {
-      message: error.message,
-      stack: error.stack,
-    });
-    await bot.shutdown();
-    process.exit(1);
-  });
+    this.scheduler.plan(this.getDisplayLyrics(), this.getLyricPosition());
+  }
 
-  try {
-    await bot.initialize();
-  } catch (error) {
-    logger.error('Failed to start bot', {
-      message: error.message,
+  /**
+   * Get the current position on the lyric timeline
+   * @returns {number} Estimated progress plus global and track sync offsets in milliseconds
+   */
+  getLyricPosition() {
+    return this.clock.getPosition() + CONFIG.SYNC_OFFSET + this.trackOffset;
+  }
+
+  /**
+   * Shift the sync offset of the current track and save it
+   * @param {number} deltaMs - Milliseconds to add (positive shows lyrics earlier)
+   * @returns {number|null} New track offset or null if nothing is playing
+   */
+  nudgeOffset(deltaMs) {
+    const track = this.currentTrack;
+    if (!track) {
+      logger.warn('No track playing, offset not changed');
+      return null;
+    }
+
+    this.trackOffset = this.offsets.nudgeTrack(track, deltaMs);
+    logger.info('Track sync offset changed', {
+      track: track.name,
+      offset: this.trackOffset,
+      total: CONFIG.SYNC_OFFSET + this.trackOffset,
+    });
+
+    this.scheduler.cancel();
+    this.updateStatus();
+    return this.trackOffset;
+  }
+
+  /**
+   * Remove the current track's offset override
+   */
+  resetOffset() {
+    const track = this.currentTrack;
+    if (!track) {
+      return;
+    }
+
+    this.offsets.resetTrack(track);
+    this.trackOffset = this.offsets.getOffset(track);
+    logger.info('Track sync offset reset', {
+      track: track.name,
+      offset: this.trackOffset,
+    });
+
+    this.scheduler.cancel();
+    this.updateStatus();
+  }
+
+  /**
+   * Set or remove the default offset of the current track's first artist
+   * A track override still wins over it
+   * @param {number|null} offsetMs - Offset in milliseconds, or null to remove it
+   * @returns {number|null} New effective track offset or null if nothing is playing
+   */
+  setArtistOffset(offsetMs) {
+    const track = this.currentTrack;
+    if (!track || !track.artists) {
+      logger.warn('No track playing, offset not changed');
+      return null;
+    }
+
+    if (offsetMs === null) {
+      this.offsets.resetArtist(track.artists);
+    } else {
+      this.offsets.setArtistOffset(track.artists, offsetMs);
+    }
+    this.trackOffset = this.offsets.getOffset(track);
+    logger.info(offsetMs === null ? 'Artist sync offset reset' : 'Artist sync offset changed', {
+      artist: track.artists.split(',')[0].trim(),
+      artistOffset: offsetMs === null ? undefined : Math.round(offsetMs),
+      offset: this.trackOffset,
+    });
+
+    this.scheduler.cancel();
+    this.updateStatus();
+    return this.trackOffset;
+  }
+
+  /**
+   * Stop sending status updates and put the user's own status back
+   * @returns {Promise<Object>} {paused}
+   */
+  async pauseUpdates() {
+    if (!this.updatesPaused) {
+      this.updatesPaused = true;
+      this.scheduler.cancel();
+      logger.info('Status updates paused');
+      await this.clearOutputs();
+    }
+    return { paused: true };
+  }
+
+  /**
+   * Resume status updates from the current position
+   * @returns {Promise<Object>} {paused}
+   */
+  async resumeUpdates() {
+    if (this.updatesPaused) {
+      this.updatesPaused = false;
+      this.resetOutputs();
+      logger.info('Status updates resumed');
+      await this.updateStatus();
+    }
+    return { paused: false };
+  }
+
+  /**
+   * Drop the current track's cached lyrics and look them up again
+   * @returns {Promise<Object|null>} {source, lines} or null if nothing is playing
+   */
+  async refetchLyrics() {
+    const track = this.currentTrack;
+    if (!track) {
+      return null;
+    }
+
+    logger.info('Refetching lyrics', { track: track.name });
+    this.clearLyricsCache(track);
+    await this.fetchAndCacheLyrics(track);
+
+    return {
+      source: this.currentLyricsSource,
+      lines: this.currentLyrics ? this.currentLyrics.length : 0,
+    };
+  }
+
+  /**
+   * Show a fixed status instead of lyrics for a while
+   * @param {string} text - Status text
+   * @param {Object} options - Optional status extras
+   * @param {string} options.emoji - Status emoji
+   * @param {number} options.duration - Milliseconds until the lyrics take over again
+   * @returns {Promise<Object>} Manual status {text, emoji, expiresAt}
+   */
+  async setManualStatus(text, { emoji = null, duration = MANUAL_STATUS_DURATION } = {}) {
+    clearTimeout(this.manualStatusTimer);
+
+    const expiresAt = Date.now() + duration;
+    this.manualStatus = { text, emoji, expiresAt };
+    this.manualStatusTimer = setTimeout(() => this.clearManualStatus(), duration);
+    logger.info('Manual status set', {
+      text,
+      until: new Date(expiresAt).toISOString(),
+    });
+
+    this.scheduler.cancel();
+    await this.updateStatus();
+    return this.manualStatus;
+  }
+
+  /**
+   * Remove the manual status and go back to lyrics (or the user's own status when idle)
+   * @returns {Promise<Object>} {cleared}
+   */
+  async clearManualStatus() {
+    clearTimeout(this.manualStatusTimer);
+    this.manualStatusTimer = null;
+
+    if (!this.manualStatus) {
+      return { cleared: false };
+    }
+
+    this.manualStatus = null;
+    this.resetOutputs();
+    logger.info('Manual status cleared');
+
+    if (this.currentTrack && !this.isQuietRestoring()) {
+      await this.updateStatus();
+    } else if (!this.updatesPaused) {
+      await this.clearOutputs();
+    }
+    return { cleared: true };
+  }
+
+  /**
+   * Follow the play of the current item for the listening history
+   * Listening time only grows between polls that both saw it playing
+   * @param {Object} track - Item from Spotify
+   * @param {boolean} trackChanged - True if a new item started
+   */
+  trackPlay(track, trackChanged) {
+    if (!this.history) {
+      return;
+    }
+
+    const now = Date.now();
+    if (trackChanged) {
+      this.finishPlay(now);
+      // Private items are not recorded
+      if (track.type === 'track' || track.type === 'episode') {
+        this.currentPlay = {
+          track,
+          startedAt: now,
+          listenedMs: 0,
+          lastSeen: now,
+          playing: track.isPlaying,
+        };
+      }
+      return;
+    }
+
+    const play = this.currentPlay;
+    if (play) {
+      if (play.playing) {
+        // Polls while playing are never further apart; a longer gap means the machine slept
+        play.listenedMs += Math.min(now - play.lastSeen, MAX_ERROR_BACKOFF);
+      }
+      play.lastSeen = now;
+      play.playing = track.isPlaying;
+    }
+  }
+
+  /**
+   * Record the current play to the listening history, if any
+   * Called before the lyrics of the play are reset
+   * @param {number} now - End time in milliseconds
+   */
+  finishPlay(now = Date.now()) {
+    const play = this.currentPlay;
+    if (!play) {
+      return;
+    }
+    this.currentPlay = null;
+
+    if (play.playing) {
+      play.listenedMs += Math.min(now - play.lastSeen, MAX_ERROR_BACKOFF);
+    }
+
+    const { track } = play;
+    // null: no lookup (episodes) or it had not finished yet
+    const lyricsKnown = track.type === 'track' && !this.lyricsRequest;
+    const lyricsFound = Boolean(this.currentLyrics && this.currentLyrics.length > 0);
+
+    this.history.record({
+      trackId: track.id,
+      type: track.type,
+      name: track.name,
+      artists: track.artists,
+      album: track.album,
+      startedAt: new Date(play.startedAt).toISOString(),
+      endedAt: new Date(now).toISOString(),
+      listenedMs: play.listenedMs,
+      durationMs: track.duration,
+      lyricsFound: lyricsKnown ? lyricsFound : null,
+      lyricsSource: lyricsKnown && lyricsFound ? this.currentLyricsSource : null,
+    });
+  }
+
+  /**
+   * Turn lyric statuses off for a while, as if outside the schedule
+   * @param {number} minutes - Snooze length
+   * @returns {Promise<Object>} {snoozedUntil}
+   */
+  async snooze(minutes = DEFAULT_SNOOZE_MINUTES) {
+    this.snoozedUntil = Date.now() + minutes * 60000;
+    logger.info('Lyric statuses snoozed', {
+      minutes,
+      until: new Date(this.snoozedUntil).toISOString(),
+    });
+
+    if (await this.updateQuietHours()) {
+      await this.updateStatus();
+    }
+    return { snoozedUntil: new Date(this.snoozedUntil).toISOString() };
+  }
+
+  /**
+   * End a snooze early
+   * @returns {Promise<Object>} {snoozedUntil: null}
+   */
+  async unsnooze() {
+    if (this.snoozedUntil !== null) {
+      this.snoozedUntil = null;
+      logger.info('Snooze cancelled');
+
+      if (await this.updateQuietHours()) {
+        await this.updateStatus();
+      }
+    }
+    return { snoozedUntil: null };
+  }
+
+  /**
+   * Work out why lyric statuses are off right now
+   * @returns {string|null} 'snooze', 'schedule' or null when they are allowed
+   */
+  getQuietReason() {
+    if (this.snoozedUntil !== null) {
+      if (Date.now() < this.snoozedUntil) {
+        return 'snooze';
+      }
+      this.snoozedUntil = null;
+    }
+
+    return this.schedule.isActive() ? null : 'schedule';
+  }
+
+  /**
+   * Re-evaluate quiet hours and react to a change: log it, and put the user's own status
+   * back when entering quiet hours with the restore action
+   * @returns {Promise<boolean>} True if quiet hours started, ended or changed reason
+   */
+  async updateQuietHours() {
+    const reason = this.getQuietReason();
+    if (reason === this.quietReason) {
+      return false;
+    }
+
+    const previous = this.quietReason;
+    this.quietReason = reason;
+    this.scheduler.cancel();
+    this.resetOutputs();
+
+    if (reason) {
+      logger.info('Lyric statuses off', {
+        reason,
+        action: CONFIG.QUIET_ACTION,
+      });
+      if (this.isQuietRestoring() && !this.manualStatus && !this.updatesPaused) {
+        await this.clearOutputs();
+      }
+    } else {
+      logger.info('Lyric statuses back on', { after: previous });
+    }
+    return true;
+  }
+
+  /**
+   * Check if quiet hours currently mean showing the user's own status
+   * @returns {boolean} True while quiet with the restore action
+   */
+  isQuietRestoring() {
+    return this.quietReason !== null && CONFIG.QUIET_ACTION === 'restore';
+  }
+
+  /**
+   * Apply settings changed in the config file without a restart
+   * The current track, its lyrics and the playback clock are kept; settings that are only
+   * read at startup (credentials, sinks, cache, files) are reported instead
+   * @param {Object} settings - All checked settings from ConfigLoader
+   * @param {Array} changed - Names of the settings that changed
+   */
+  async applyConfig(settings, changed) {
+    const restart = changed.filter((key) => !CONFIG_SCHEMA[key].reload);
+    if (restart.length > 0) {
+      logger.warn('Restart to apply changed settings', { settings: restart });
+    }
+
+    const reloaded = changed.filter((key) => CONFIG_SCHEMA[key].reload);
+    if (reloaded.length === 0) {
+      return;
+    }
+
+    const previousQuietAction = CONFIG.QUIET_ACTION;
+    const next = buildConfig(settings);
+    reloaded.forEach((key) => {
+      CONFIG[key] = next[key];
+    });
+    CONFIG.STATUS_TEMPLATES = next.STATUS_TEMPLATES;
+    CONFIG.STATUS_EMOJIS = next.STATUS_EMOJIS;
+    logger.setLevel(CONFIG.LOG_LEVEL);
+
+    this.privacy = this.createPrivacyFilter();
+    this.schedule = this.createSchedule();
+    this.formatter = this.createFormatter();
+    this.configureOutputs();
+    // Rebuilt for the new display mode on the next status
+    this.displayLyricsFor = null;
+
+    // Switching to the restore action during quiet hours puts the user's own status back
+    const quietChanged = await this.updateQuietHours();
+    const restoreNow =
+      !quietChanged &&
+      CONFIG.QUIET_ACTION !== previousQuietAction &&
+      this.isQuietRestoring() &&
+      !this.manualStatus &&
+      !this.updatesPaused;
+    if (restoreNow) {
+      await this.clearOutputs();
+    }
+
+    // Offsets and templates apply to the current line right away
+    this.scheduler.cancel();
+    if (this.pollingActive && reloaded.some((key) => key.startsWith('PRIVACY_'))) {
+      // The current item went through the old privacy rules, fetch it again for the new ones
+      await this.repoll();
+    } else {
+      await this.updateStatus();
+    }
+    logger.info('Settings reloaded', { settings: reloaded });
+  }
+
+  /**
+   * Create one output per configured status sink
+   * Module paths (starting with "." or "/") must export a sink or a factory returning one
+   * @returns {Array} StatusOutput instances in STATUS_SINKS order
+   * @throws {Error} If a sink is unknown or invalid
+   */
+  createOutputs() {
+    return CONFIG.STATUS_SINKS.map((name) => {
+      let sink;
+      if (BUILT_IN_SINKS[name]) {
+        sink = BUILT_IN_SINKS[name]();
+      } else if (name.startsWith('.') || path.isAbsolute(name)) {
+        const exported = require(path.resolve(name));
+        sink = typeof exported === 'function' ? exported() : exported;
+      } else {
+        throw new Error(`Unknown status sink: ${name}`);
+      }
+
+      return new StatusOutput(sink, this.getOutputSettings(name));
+    });
+  }
+
+  /**
+   * Give every output the current templates and rate limits (after a settings reload)
+   */
+  configureOutputs() {
+    this.outputs.forEach((output, index) => {
+      output.configure(this.getOutputSettings(CONFIG.STATUS_SINKS[index]));
+    });
+  }
+
+  /**
+   * Work out the formatter and rate limit of a sink's output
+   * Sink templates replace the lyric and estimated line templates; other states stay shared
+   * @param {string} name - Entry in STATUS_SINKS
+   * @returns {Object} {formatter, rateLimit}
+   */
+  getOutputSettings(name) {
+    const keys = SINK_SETTINGS[name] || SINK_SETTINGS.discord;
+    const templates = {};
+    if (keys.template && CONFIG[keys.template]) {
+      templates.lyric = CONFIG[keys.template];
+    }
+    if (keys.estimatedTemplate && CONFIG[keys.estimatedTemplate]) {
+      templates.estimated = CONFIG[keys.estimatedTemplate];
+    }
+    const custom = Object.keys(templates).length > 0;
+
+    return {
+      formatter: custom ? this.createFormatter(templates) : this.formatter,
+      rateLimit: CONFIG[keys.rateLimit],
+    };
+  }
+
+  /**
+   * Build a status formatter from the current settings
+   * @param {Object} templates - Templates replacing the configured ones, by state
+   * @returns {StatusFormatter} Formatter
+   */
+  createFormatter(templates = {}) {
+    return new StatusFormatter(
+      { ...CONFIG.STATUS_TEMPLATES, ...templates },
+      {
+        emojis: CONFIG.STATUS_EMOJIS,
+        displayMode: CONFIG.STATUS_DISPLAY_MODE,
+        karaokeStep: CONFIG.KARAOKE_STEP,
+      }
+    );
+  }
+
+  /**
+   * Build the privacy filter from the current settings
+   * @returns {PrivacyFilter} Privacy filter
+   */
+  createPrivacyFilter() {
+    return new PrivacyFilter({
+      artists: CONFIG.PRIVACY_BLOCK_ARTISTS,
+      tracks: CONFIG.PRIVACY_BLOCK_TRACKS,
+      albums: CONFIG.PRIVACY_BLOCK_ALBUMS,
+      contexts: CONFIG.PRIVACY_BLOCK_CONTEXTS,
+      action: CONFIG.PRIVACY_ACTION,
+      maskProfanity: CONFIG.PRIVACY_MASK_PROFANITY,
+      maskWords: CONFIG.PRIVACY_MASK_WORDS,
+      hideExplicitLyrics: CONFIG.PRIVACY_HIDE_EXPLICIT_LYRICS,
+    });
+  }
+
+  /**
+   * Build the quiet hours schedule from the current settings
+   * @returns {StatusSchedule} Schedule
+   */
+  createSchedule() {
+    return new StatusSchedule(CONFIG.STATUS_SCHEDULE, {
+      timezone: CONFIG.STATUS_SCHEDULE_TIMEZONE,
+    });
+  }
+
+  /**
+   * Take the bot's status down on every output (Discord gets the user's own status back)
+   */
+  async clearOutputs() {
+    await Promise.all(this.outputs.map((output) => output.clear()));
+  }
+
+  /**
+   * Make every output send the next status even if it looks unchanged
+   */
+  resetOutputs() {
+    this.outputs.forEach((output) => output.reset());
+  }
+
+  /**
+   * Snapshot of what the bot is doing, for the control API
+   * @returns {Object} Track, lyrics, offsets, overrides and limiter/cache stats
+   */
+  getRuntimeState() {
+    const track = this.currentTrack;
+    const lyrics = this.currentLyrics || [];
+    const lineIndex =
+      lyrics.length > 0 ? getLyricIndexAtProgress(lyrics, this.getLyricPosition()) : -1;
+
+    return {
+      state: this.state,
+      pollingReason: this.pollingReason,
+      updatesPaused: this.updatesPaused,
+      manualStatus: this.manualStatus,
+      quiet: {
+        reason: this.quietReason,
+        snoozedUntil: this.snoozedUntil ? new Date(this.snoozedUntil).toISOString() : null,
+        schedule: this.schedule.isEnabled(),
+      },
+      track: track
+        ? {
+            id: track.id,
+            name: track.name,
+            artists: track.artists,
+            album: track.album,
+            duration: track.duration,
+            progress: Math.round(this.clock.getPosition()),
+            isPlaying: this.clock.isPlaying,
+          }
+        : null,
+      lyrics: {
+        source: this.currentLyricsSource,
+        file: this.currentLyricsFile,
+        estimated: this.currentLyricsEstimated,
+        lines: lyrics.length,
+        lineIndex,
+        line: lineIndex >= 0 ? lyrics[lineIndex].lyric : null,
+      },
+      offset: {
+        global: CONFIG.SYNC_OFFSET,
+        track: this.trackOffset,
+        total: CONFIG.SYNC_OFFSET + this.trackOffset,
+      },
+      cache: this.lyricsCache ? this.lyricsCache.stats() : null,
+      outputs: this.outputs.map((output) => output.getState()),
+    };
+  }
+
+  /**
+   * Read offset commands from an interactive terminal
+   * "+" / "-" nudge by OFFSET_STEP, "+100" / "-100" by an exact amount, "reset" clears the override
+   * "artist <ms>" / "artist reset" set or clear the default of the track's first artist
+   */
+  listenForCommands() {
+    if (!process.stdin.isTTY || this.console) {
+      return;
+    }
+
+    // Non-terminal mode leaves Ctrl+C to the SIGINT handler
+    this.console = readline.createInterface({ input: process.stdin, terminal: false });
+    this.console.on('line', (line) => {
+      const command = line.trim();
+      const match = command.match(/^([+-])(\d*)$/);
+
+      if (match) {
+        const amount = match[2] ? parseInt(match[2], 10) : CONFIG.OFFSET_STEP;
+        this.nudgeOffset(match[1] === '+' ? amount : -amount);
+      } else if (command === 'reset') {
+        this.resetOffset();
+      } else if (/^artist\s+(reset|[+-]?\d+)$/.test(command)) {
+        const value = command.split(/\s+/)[1];
+        this.setArtistOffset(value === 'reset' ? null : parseInt(value, 10));
+      } else if (/^snooze(\s+\d+)?$/.test(command)) {
+        const minutes = parseInt(command.slice('snooze'.length), 10);
+        this.snooze(minutes > 0 ? minutes : DEFAULT_SNOOZE_MINUTES);
+      } else if (command === 'unsnooze') {
+        this.unsnooze();
+      } else if (command) {
+        logger.warn('Unknown command', { command });
+      }
+    });
+
+    logger.info(
+      'Console commands enabled: "+", "-", "+<ms>", "-<ms>", "reset", "artist <ms>", ' +
+        '"artist reset", "snooze [min]", "unsnooze"'
+    );
+  }
+
+  /**
+   * Fetch lyrics for a track and apply them if the track is still the current one
+   * Each fetch is tagged with its track ID; a late result for an older request is discarded
+   * @param {Object} track - Track object from Spotify
+   * @returns {Promise<boolean>} True if the lyrics were applied
+   */
+  async fetchAndCacheLyrics(track) {
+    const request = { trackId: track.id };
+    this.lyricsRequest = request;
+    this.refreshState();
+
+    const result = await this.loadLyrics(track);
+
+    if (this.lyricsRequest !== request || this.currentTrackId !== request.trackId) {
+      logger.debug('Discarding stale lyrics result', {
+        track: track.name,
+        trackId: request.trackId,
+      });
+      return false;
+    }
+
+    this.lyricsRequest = null;
+    this.currentLyrics = result.lyrics;
+    this.currentLyricsSource = result.source;
+    this.currentLyricsFile = result.file;
+    this.currentLyricsEstimated = result.estimated;
+    this.refreshState();
+
+    this.scheduler.cancel();
+    await this.updateStatus();
+    return true;
+  }
+
+  /**
+   * Look up lyrics for a track: local files, then the cache, then the provider chain
+   * Not found and instrumental results are cached too, with a shorter TTL
+   * @param {Object} track - Track object from Spotify
+   * @returns {Promise<Object>} {lyrics, source, file, estimated}; lyrics is null if there are none
+   */
+  async loadLyrics(track) {
+    const none = { lyrics: null, source: null, file: null, estimated: false };
+
+    try {
+      // Hand-corrected local files take precedence over everything else
+      if (this.localLyrics) {
+        const local = await this.localLyrics.fetch(track);
+        const lyrics = local ? parseLRC(local.syncedLyrics).lyrics : [];
+        if (lyrics.length > 0) {
+          logger.info('Lyrics found', {
+            track: track.name,
+            source: this.localLyrics.name,
+            lines: lyrics.length,
+          });
+          return { lyrics, source: this.localLyrics.name, file: local.file, estimated: false };
+        }
+      }
+
+      // Check cache first; estimated lyrics only count while the plain fallback is on,
+      // plain-only misses only while it is off
+      if (this.lyricsCache) {
+        const cached = this.lyricsCache.get(track.name, track.artists);
+        const stale = CONFIG.PLAIN_LYRICS_FALLBACK
+          ? cached?.status === LyricsCache.STATUS.PLAIN_ONLY
+          : cached?.estimated;
+        if (cached && !stale) {
+          logger.debug('Lyrics loaded from cache', {
+            track: track.name,
+            status: cached.status,
+            source: cached.source,
+            estimated: cached.estimated || undefined,
+          });
+          return {
+            lyrics: cached.lyrics,
+            source: cached.source,
+            file: null,
+            estimated: cached.estimated,
+          };
+        }
+      }
+
+      logger.debug('Fetching lyrics', {
+        track: track.name,
+        providers: this.lyrics.providers.map((provider) => provider.name),
+      });
+
+      const result = await this.lyrics.searchLyrics(track, {
+        plainFallback: CONFIG.PLAIN_LYRICS_FALLBACK,
+      });
+
+      if (result && result.instrumental) {
+        logger.info('Track is instrumental', {
+          track: track.name,
+          artist: track.artists,
+          source: result.source,
+        });
+        this.cacheMiss(track, LyricsCache.STATUS.INSTRUMENTAL);
+        return none;
+      }
+
+      if (result && result.plainOnly) {
+        logger.info('Only plain lyrics found, PLAIN_LYRICS_FALLBACK is off', {
+          track: track.name,
+          artist: track.artists,
+          source: result.source,
+        });
+        this.cacheMiss(track, LyricsCache.STATUS.PLAIN_ONLY);
+        return none;
+      }
+
+      if (!result) {
+        logger.info('No lyrics found for track', {
+          track: track.name,
+          artist: track.artists,
+        });
+        this.cacheMiss(track, LyricsCache.STATUS.NOT_FOUND);
+        return none;
+      }
+
+      const { lyrics, source, estimated } = result;
+      logger.info('Lyrics found', {
+        track: track.name,
+        source,
+        lines: lyrics.length,
+        estimated: estimated || undefined,
+      });
+
+      // Cache lyrics if enabled
+      if (this.lyricsCache) {
+        this.lyricsCache.set(track.name, track.artists, lyrics, source, { estimated });
+        logger.debug('Lyrics cached', {
+          track: track.name,
+          lines: lyrics.length,
+        });
+      }
+
+      return { lyrics, source, file: null, estimated };
+    } catch (error) {
+      logger.error('Failed to fetch lyrics', {
+        track: track.name,
+        error: error.message,
+      });
+      return none;
+    }
+  }
+
+  /**
+   * Reload lyrics when the local .lrc file for the current track is edited, added or removed
+   * @param {string} file - Absolute path of the changed file
+   */
+  async onLocalLyricsChange(file) {
+    const track = this.currentTrack;
+    if (!track) {
+      return;
+    }
+
+    if (file !== this.currentLyricsFile && this.localLyrics.match(track) !== file) {
+      return;
+    }
+
+    logger.info('Local LRC file changed, reloading lyrics', {
+      track: track.name,
+      file: path.basename(file),
+    });
+
+    await this.fetchAndCacheLyrics(track);
+  }
+
+  /**
+   * Remember a track without lyrics so replays skip the lookup
+   * @param {Object} track - Track object from Spotify
+   * @param {string} status - LyricsCache.STATUS value
+   */
+  cacheMiss(track, status) {
+    if (this.lyricsCache) {
+      this.lyricsCache.setMiss(track.name, track.artists, status);
+    }
+  }
+
+  /**
+   * Remove cached lyrics for one track, or the whole cache when no track is given
+   * @param {Object} track - Optional track object from Spotify
+   * @returns {boolean} True if anything was removed
+   */
+  clearLyricsCache(track = null) {
+    if (!this.lyricsCache) {
+      return false;
+    }
+
+    if (!track) {
+      this.lyricsCache.clear();
+      return true;
+    }
+
+    return this.lyricsCache.delete(track.name, track.artists);
+  }
+
+  /**
+   * Stop polling and cleanup
+   */
+  async shutdown() {
+    logger.info('Shutting down bot');
+
+    this.pollingActive = false;
+    if (this.pollTimer) {
+      clearTimeout(this.pollTimer);
+    }
+    this.finishPlay();
+    // Late lyric results are discarded and no new status goes out after this point
+    this.lyricsRequest = null;
+    this.scheduler.cancel();
+    clearTimeout(this.manualStatusTimer);
+    if (this.control) {
+      await this.control.close();
+    }
+    if (this.statusUpdate) {
+      await this.statusUpdate;
+    }
+    if (this.localLyrics) {
+      this.localLyrics.close();
+    }
+    if (this.console) {
+      this.console.close();
+    }
+
+    await Promise.all(this.outputs.map((output) => output.close()));
+
+    logger.info('Bot shutdown complete');
+  }
+}
+
+/**
+ * Clear cached lyrics from the command line
+ * Usage: node index.js clear-cache ["Track Name" "Artist"]
+ * @param {Array} args - Optional track name and artist string
+ * @throws {Error} With the usage unless there are no arguments or exactly two
+ */
+function clearCacheCommand(args) {
+  if (args.length !== 0 && args.length !== 2) {
+    throw new Error('Usage: node index.js clear-cache ["Track Name" "Artist"]');
+  }
+  const cache = new LyricsCache({ directory: CONFIG.CACHE_DIR });
+
+  if (args.length === 2) {
+    const [trackName, artistName] = args;
+    const removed = cache.delete(trackName, artistName);
+    logger.info(removed ? 'Removed cached lyrics' : 'Track not in lyrics cache', {
+      track: trackName,
+      artist: artistName,
+    });
+    return;
+  }
+
+  cache.clear();
+}
+
+/**
+ * Print listening statistics or export the plays of a date range
+ * Usage: node index.js stats [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--days N] [--top N]
+ *   [--json] [--export file.csv|file.json]
+ * @param {Array} args - Command line arguments after "stats"
+ */
+function statsCommand(args) {
+  const options = parseOptions(args, ['json']);
+  const day = (value, name) => {
+    const date = new Date(`${value}T00:00:00`);
+    // Date rolls impossible days like 2026-02-31 over instead of rejecting them
+    const [year, month, dayOfMonth] = value.split('-').map(Number);
+    const valid =
+      /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+      date.getFullYear() === year &&
+      date.getMonth() + 1 === month &&
+      date.getDate() === dayOfMonth;
+    if (!valid) {
+      throw new Error(`--${name} must be a date like 2026-01-31`);
+    }
+    return date;
+  };
+  const count = (value, name) => {
+    if (!/^\d+$/.test(value) || parseInt(value, 10) === 0) {
+      throw new Error(`--${name} must be a positive whole number`);
+    }
+    return parseInt(value, 10);
+  };
+  if (options.days && (options.from || options.to)) {
+    throw new Error('--days cannot be combined with --from or --to');
+  }
+
+  let from = options.from ? day(options.from, 'from') : null;
+  let to = null;
+  if (options.to) {
+    // The end date is included in full
+    to = day(options.to, 'to');
+    to.setDate(to.getDate() + 1);
+    to.setMilliseconds(-1);
+  }
+  if (options.days) {
+    from = new Date(Date.now() - count(options.days, 'days') * 24 * 60 * 60 * 1000);
+  }
+
+  const history = new HistoryStore(CONFIG.HISTORY_FILE);
+  const plays = history.read({ from, to });
+
+  if (options.export) {
+    history.exportPlays(plays, options.export);
+    logger.info('Listening history exported', {
+      file: path.resolve(options.export),
+      plays: plays.length,
+    });
+    return;
+  }
+
+  const summary = new HistoryStats(plays).summarize({
+    top: options.top ? count(options.top, 'top') : 10,
+  });
+  if (options.json) {
+    console.log(JSON.stringify(summary, null, 2));
+  } else {
+    console.log(HistoryStats.formatReport(summary, { from, to }));
+  }
+}
+
+/**
+ * Play a scripted timeline through the bot and record the Discord payloads it sends
+ * With --check, fail unless every status showed the lyric line due when it was sent
+ * Usage: node index.js simulate <timeline.json> [--output payloads.jsonl] [--check]
+ * @param {Array} args - Command line arguments after "simulate"
+ * @throws {Error} If the timeline is invalid or the check fails
+ */
+async function simulateCommand(args) {
+  const [timelineFile, ...rest] = args;
+  if (!timelineFile || timelineFile.startsWith('--')) {
+    throw new Error(
+      'Usage: node index.js simulate <timeline.json> [--output payloads.jsonl] [--check]'
+    );
+  }
+  const options = parseOptions(rest, ['check']);
+  const output = options.output || path.join('.data', 'simulation.jsonl');
+
+  const simulation = SimulatedSpotify.fromFile(timelineFile);
+  const recorder = new DiscordRecorder({
+    rateLimit: simulation.discord.rateLimit || null,
+    annotate: () => {
+      const { elapsedMs, ...expected } = simulation.describe();
+      return { elapsedMs, expected };
+    },
+  });
+  const discordApiBase = await recorder.start();
+
+  // Nothing real is read or written: no tokens, cache, history, saved or global offsets,
+  // local files, quiet hours or sinks other than the recorded Discord one
+  const tmpFile = (name) =>
+    path.join(os.tmpdir(), `lyrics-status-simulation-${process.pid}-${name}`);
+  Object.assign(CONFIG, {
+    DISCORD_USER_TOKEN: 'simulation',
+    SPOTIFY_CLIENT_ID: 'simulation',
+    SPOTIFY_REFRESH_TOKEN: 'simulation',
+    DISCORD_API_BASE: discordApiBase,
+    STATUS_BACKUP_FILE: tmpFile('status.json'),
+    OFFSETS_FILE: tmpFile('offsets.json'),
+    SYNC_OFFSET: 0,
+    CACHE_ENABLED: false,
+    HISTORY_ENABLED: false,
+    LOCAL_LRC_DIR: '',
+    CONTROL_API_ENABLED: false,
+    STATUS_SCHEDULE: '',
+    STATUS_SINKS: ['discord'],
+  });
+  if (options.check) {
+    const defaults = Object.entries(CONFIG_SCHEMA)
+      .filter(([key]) => CHECK_DEFAULT_SETTINGS.test(key))
+      .map(([key, spec]) => [key, spec.default]);
+    Object.assign(CONFIG, buildConfig({ ...CONFIG, ...Object.fromEntries(defaults) }));
+  }
+
+  const bot = new SpotifyDiscordBot({
+    spotify: simulation,
+    lyrics: new LyricsService([simulation.getLyricsProvider()]),
+    commands: false,
+  });
+
+  logger.info('Simulation started', {
+    timeline: path.resolve(timelineFile),
+    duration: formatDuration(simulation.duration),
+  });
+  simulation.start();
+  try {
+    await bot.initialize();
+    const remaining = simulation.duration - simulation.getElapsed();
+    await new Promise((resolve) => setTimeout(resolve, Math.max(0, remaining)));
+  } finally {
+    await bot.shutdown();
+    await recorder.close();
+  }
+
+  recorder.writeTo(output);
+  logger.info('Simulation finished', {
+    file: path.resolve(output),
+    ...recorder.getSummary(),
+  });
+
+  if (options.check) {
+    const { checked, mismatches } = simulation.checkStatuses(recorder.records, {
+      polling: {
+        interval: CONFIG.POLLING_INTERVAL,
+        pausedInterval: CONFIG.POLLING_PAUSED_INTERVAL,
+        idleInterval: CONFIG.POLLING_IDLE_INTERVAL,
+        backoffAfter: POLLING_BACKOFF_AFTER,
+      },
+    });
+    if (mismatches.length > 0) {
+      logger.error('Statuses out of sync', { mismatches });
+      throw new Error(`${mismatches.length} of ${checked} checked statuses were out of sync`);
+    }
+    logger.info('Simulation check passed', { checked });
+  }
+}
+
+/**
+ * Parse "--name value" and "--flag" command line options
+ * @param {Array} args - Arguments
+ * @param {Array} flags - Options that take no value
+ * @returns {Object} Options by name
+ * @throws {Error} On a stray argument or a missing value
+ */
+function parseOptions(args, flags = []) {
+  const options = {};
+  for (let index = 0; index < args.length; index++) {
+    const name = args[index].startsWith('--') ? args[index].slice(2) : null;
+    if (!name) {
+      throw new Error(`Unexpected argument: ${args[index]}`);
+    }
+
+    if (flags.includes(name)) {
+      options[name] = true;
+    } else if (index + 1 < args.length) {
+      index += 1;
+      options[name] = args[index];
+    } else {
+      throw new Error(`Missing value for --${name}`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Obtain a Spotify refresh token with the PKCE flow and save it to .env or the config file
+ * Usage: node index.js auth
+ */
+async function authCommand() {
+  const auth = new SpotifyAuth({
+    clientId: CONFIG.SPOTIFY_CLIENT_ID,
+    redirectUri: CONFIG.SPOTIFY_REDIRECT_URI,
+    tokenUrl: CONFIG.SPOTIFY_AUTH_URL,
+  });
+
+  logger.info('Make sure this redirect URI is registered in your Spotify app', {
+    redirectUri: CONFIG.SPOTIFY_REDIRECT_URI,
+  });
+
+  const { refreshToken, scope } = await auth.authorize((url) => {
+    logger.info('Open this URL in your browser and approve access:');
+    console.log(`\n${url}\n`);
+  });
+
+  const file = saveRefreshToken(refreshToken, { createEnvFile: true });
+  logger.info('Spotify refresh token saved', { file, scope });
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  try {
+    loadConfig();
+  } catch (error) {
+    logger.error('Invalid configuration', {
+      file: configLoader.file || undefined,
+      problems: error.problems || [error.message],
+    });
+    process.exitCode = 1;
+    return;
+  }
+
+  if (command === 'clear-cache') {
+    try {
+      clearCacheCommand(args);
+    } catch (error) {
+      logger.error('Clear cache failed', {
+        message: error.message,
+      });
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (command === 'stats') {
+    try {
+      statsCommand(args);
+    } catch (error) {
+      logger.error('Stats failed', {
+        message: error.message,
+      });
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (command === 'simulate') {
+    try {
+      await simulateCommand(args);
+    } catch (error) {
+      logger.error('Simulation failed', {
+        message: error.message,
+      });
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (command === 'auth') {
+    try {
+      await authCommand();
+    } catch (error) {
+      logger.error('Spotify authorization failed', {
+        message: error.message,
+      });
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  // Settings checked while building the services (e.g. unknown sinks) fail here
+  let bot;
+  try {
+    bot = new SpotifyDiscordBot();
+  } catch (error) {
+    logger.error('Failed to start bot', {
+      message: error.message,
+    });
+    process.exitCode = 1;
+    return;
+  }
+
+  // Handle graceful shutdown
+  process.on('SIGINT', async () => {
+    logger.info('Received SIGINT signal');
+    await bot.shutdown();
+    process.exit(0);
+  });
+
+  process.on('SIGTERM', async () => {
+    logger.info('Received SIGTERM signal');
+    await bot.shutdown();
+    process.exit(0);
+  });
+
+  process.on('uncaughtException', async (error) => {
+    logger.error('Uncaught exception', {
+      message: error.message,
+      stack: error.stack,
+    });
+    await bot.shutdown();
+    process.exit(1);
+  });
+
+  try {
+    await bot.initialize();
+  } catch (error) {
+    logger.error('Failed to start bot', {
+      message: error.message,
     });
     await bot.shutdown();
     process.exit(1);
   }
+
+  configLoader.watch((settings, changed) => bot.applyConfig(settings, changed));
 }
 
 main();
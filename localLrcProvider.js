@@ -0,0 +1,243 @@
+/**
+ * Local LRC Library Provider
+ * Serves hand-corrected .lrc files from a directory
+ * Matches on Spotify track ID, then "Artist - Title" file name, then [ar:]/[ti:] tags
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { parseLRC, stripTitleSuffixes, normalizeText } = require('./utils');
+
+// Spotify track IDs are 22 base62 characters
+const SPOTIFY_ID_PATTERN = /(?:^|[^0-9A-Za-z])([0-9A-Za-z]{22})(?:$|[^0-9A-Za-z])/;
+
+// Editors fire several events per save; wait for them to settle
+const WATCH_DEBOUNCE = 200;
+
+class LocalLrcProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.directory - Directory containing .lrc files
+   */
+  constructor({ directory }) {
+    this.name = 'local';
+    this.directory = path.resolve(directory);
+
+    this.byId = new Map();
+    this.byName = new Map();
+    this.byTags = new Map();
+
+    this.watcher = null;
+    this.pendingChanges = new Map();
+    this.dirty = true;
+  }
+
+  /**
+   * Provider interface: read the matching .lrc file for a Spotify track
+   * @param {Object} track - Track object from SpotifyService
+   * @returns {Promise<Object|null>} {syncedLyrics, plainLyrics, instrumental, file} or null if no file matches
+   */
+  async fetch(track) {
+    const file = this.match(track);
+    if (!file) {
+      return null;
+    }
+
+    try {
+      const syncedLyrics = await fs.promises.readFile(file, 'utf8');
+      logger.debug('Using local LRC file', {
+        track: track.name,
+        file: path.basename(file),
+      });
+      return {
+        instrumental: false,
+        syncedLyrics,
+        plainLyrics: null,
+        file,
+      };
+    } catch (error) {
+      logger.warn('Failed to read local LRC file', {
+        file,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Find the .lrc file for a track
+   * @param {Object} track - Track object from SpotifyService
+   * @returns {string|null} Absolute file path or null
+   */
+  match(track) {
+    if (this.dirty) {
+      this.scan();
+    }
+
+    if (track.id && this.byId.has(track.id)) {
+      return this.byId.get(track.id);
+    }
+
+    const keys = trackKeys(track);
+    for (const index of [this.byName, this.byTags]) {
+      const key = keys.find((candidate) => index.has(candidate));
+      if (key) {
+        return index.get(key);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Rebuild the file indexes from the directory
+   */
+  scan() {
+    this.byId.clear();
+    this.byName.clear();
+    this.byTags.clear();
+    this.dirty = false;
+
+    let files;
+    try {
+      files = fs
+        .readdirSync(this.directory)
+        .filter((file) => path.extname(file).toLowerCase() === '.lrc');
+    } catch (error) {
+      logger.warn('Local LRC directory unreadable', {
+        directory: this.directory,
+        error: error.message,
+      });
+      return;
+    }
+
+    files.forEach((file) => {
+      const fullPath = path.join(this.directory, file);
+      let baseName = path.basename(file, path.extname(file));
+
+      const idMatch = baseName.match(SPOTIFY_ID_PATTERN);
+      if (idMatch) {
+        this.byId.set(idMatch[1], fullPath);
+        // Allow "Artist - Title [id].lrc" to match by name as well
+        baseName = baseName.replace(idMatch[1], '').replace(/[[(]\s*[\])]/g, '');
+      }
+
+      const separator = baseName.indexOf(' - ');
+      if (separator > 0) {
+        const key = nameKey(baseName.slice(0, separator), baseName.slice(separator + 3));
+        if (key && !this.byName.has(key)) {
+          this.byName.set(key, fullPath);
+        }
+      }
+
+      try {
+        const { metadata } = parseLRC(fs.readFileSync(fullPath, 'utf8'));
+        const key = nameKey(metadata.artist, metadata.title);
+        if (key && !this.byTags.has(key)) {
+          this.byTags.set(key, fullPath);
+        }
+      } catch (error) {
+        logger.debug('Skipping unreadable local LRC file', {
+          file,
+          error: error.message,
+        });
+      }
+    });
+
+    logger.debug('Local LRC library scanned', {
+      files: files.length,
+      byId: this.byId.size,
+    });
+  }
+
+  /**
+   * Watch the directory and report changed .lrc files
+   * @param {Function} onChange - Called with the absolute path of each changed file
+   */
+  watch(onChange) {
+    if (this.watcher) {
+      return;
+    }
+
+    try {
+      this.watcher = fs.watch(this.directory, (eventType, file) => {
+        // Any event may add, rename or retag a file
+        this.dirty = true;
+
+        if (!file || path.extname(file).toLowerCase() !== '.lrc') {
+          return;
+        }
+
+        const fullPath = path.join(this.directory, file);
+        clearTimeout(this.pendingChanges.get(fullPath));
+        this.pendingChanges.set(
+          fullPath,
+          setTimeout(() => {
+            this.pendingChanges.delete(fullPath);
+            onChange(fullPath);
+          }, WATCH_DEBOUNCE)
+        );
+      });
+
+      logger.info('Watching local LRC library', {
+        directory: this.directory,
+      });
+    } catch (error) {
+      logger.warn('Failed to watch local LRC directory', {
+        directory: this.directory,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Stop watching the directory
+   */
+  close() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    this.pendingChanges.forEach((timer) => clearTimeout(timer));
+    this.pendingChanges.clear();
+  }
+}
+
+/**
+ * Build a lookup key from an artist and title
+ * @param {string} artist - Artist name
+ * @param {string} title - Track title
+ * @returns {string|null} Normalized "artist - title" key or null
+ */
+function nameKey(artist, title) {
+  const normalizedArtist = normalizeText(artist);
+  const normalizedTitle = normalizeText(title);
+  if (!normalizedArtist || !normalizedTitle) {
+    return null;
+  }
+  return `${normalizedArtist} - ${normalizedTitle}`;
+}
+
+/**
+ * Lookup keys for a track: full and primary artist, exact and suffix-free title
+ * @param {Object} track - Track object from SpotifyService
+ * @returns {Array} Normalized keys, most specific first
+ */
+function trackKeys(track) {
+  const artists = [track.artists, track.artists.split(',')[0].trim()];
+  const titles = [track.name, stripTitleSuffixes(track.name)];
+
+  const keys = [];
+  artists.forEach((artist) => {
+    titles.forEach((title) => {
+      const key = nameKey(artist, title);
+      if (key && !keys.includes(key)) {
+        keys.push(key);
+      }
+    });
+  });
+  return keys;
+}
+
+module.exports = LocalLrcProvider;
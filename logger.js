@@ -11,7 +11,16 @@ const LOG_LEVELS = {
 
 class Logger {
   constructor(level = 'info') {
-    this.level = LOG_LEVELS[level.toUpperCase()] || LOG_LEVELS.INFO;
+    this.setLevel(level);
+  }
+
+  /**
+   * Change which messages are logged
+   * @param {string} level - error, warn, info or debug (anything else means info)
+   */
+  setLevel(level) {
+    const value = LOG_LEVELS[String(level).toUpperCase()];
+    this.level = value === undefined ? LOG_LEVELS.INFO : value;
   }
 
   /**
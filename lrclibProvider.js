@@ -0,0 +1,304 @@
+/**
+ * LRCLIB Lyrics Provider
+ * Fetches synced lyrics from LRCLIB API
+ * Handles error cases (instrumental tracks, not found) and the /search fallback
+ */
+
+const axios = require('axios');
+const logger = require('./logger');
+const { stripTitleSuffixes, normalizeText, splitArtists } = require('./utils');
+
+const LRCLIB_API_BASE = 'https://lrclib.net/api';
+const LRCLIB_TIMEOUT = 5000; // 5 seconds timeout
+
+// Search candidates further than this from the Spotify duration are rejected
+const SEARCH_DURATION_TOLERANCE = 5000;
+// Minimum title similarity (0-1) for a search candidate to be considered
+const SEARCH_MIN_TITLE_SCORE = 0.5;
+
+class LrclibProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.baseURL - LRCLIB API base URL (e.g. a mirror)
+   * @param {number} options.timeout - Request timeout in milliseconds
+   */
+  constructor({ baseURL = LRCLIB_API_BASE, timeout = LRCLIB_TIMEOUT } = {}) {
+    this.name = 'lrclib';
+    this.client = axios.create({
+      baseURL,
+      timeout,
+    });
+  }
+
+  /**
+   * Provider interface: fetch lyrics for a Spotify track
+   * @param {Object} track - Track object from SpotifyService
+   * @throws {Error} If API call fails or times out
+   * @returns {Promise<Object|null>} {syncedLyrics, plainLyrics, instrumental} or null if not found
+   */
+  async fetch(track) {
+    return this.fetchLyrics(track.name, track.artists, track.duration, track.album);
+  }
+
+  /**
+   * Fetch synced lyrics from LRCLIB by track name and artist
+   * Tries an exact /get lookup first, then falls back to /search with a normalized title
+   * A plain-only /get hit is kept as a last resort in case /search finds a synced version
+   * @param {string} trackName - Song title
+   * @param {string} artistName - Artist name(s)
+   * @param {number} duration - Track duration in milliseconds
+   * @param {string} albumName - Optional album name, used to score search results
+   * @throws {Error} If API call fails or times out
+   * @returns {Promise<Object|null>} Lyrics object with synced LRC or null if not found
+   */
+  async fetchLyrics(trackName, artistName, duration, albumName = '') {
+    const exact = await this.getExactLyrics(trackName, artistName, duration);
+    if (exact && (exact.syncedLyrics || exact.instrumental)) {
+      return exact;
+    }
+
+    const found = await this.searchBestMatch(trackName, artistName, duration, albumName);
+    if (exact && !found?.syncedLyrics) {
+      logger.debug('No synced LRCLIB match, using plain lyrics', { track: trackName });
+      return exact;
+    }
+    return found;
+  }
+
+  /**
+   * Look up lyrics with LRCLIB /get using the exact title and first artist
+   * @param {string} trackName - Song title
+   * @param {string} artistName - Artist name(s)
+   * @param {number} duration - Track duration in milliseconds
+   * @throws {Error} If API call fails or times out
+   * @returns {Promise<Object|null>} Lyrics object or null if not found
+   */
+  async getExactLyrics(trackName, artistName, duration) {
+    try {
+      logger.debug('Fetching lyrics from LRCLIB', {
+        track: trackName,
+        artist: artistName,
+      });
+
+      // Extract first artist name if multiple are present
+      const primaryArtist = artistName.split(',')[0].trim();
+
+      const response = await this.client.get('/get', {
+        params: {
+          track_name: trackName,
+          artist_name: primaryArtist,
+          duration_ms: duration,
+        },
+      });
+
+      if (!response.data) {
+        logger.debug('No lyrics found on LRCLIB', {
+          track: trackName,
+          artist: primaryArtist,
+        });
+        return null;
+      }
+
+      return this.toLyricsData(response.data, trackName);
+    } catch (error) {
+      if (error.response?.status === 404) {
+        logger.debug('Lyrics not found on LRCLIB', {
+          track: trackName,
+          artist: artistName,
+        });
+        return null;
+      }
+
+      this.logRequestError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Search LRCLIB with a normalized title and pick the best scoring candidate
+   * Candidates with synced lyrics are preferred over better scoring plain-only ones
+   * @param {string} trackName - Song title
+   * @param {string} artistName - Artist name(s)
+   * @param {number} duration - Track duration in milliseconds
+   * @param {string} albumName - Album name
+   * @throws {Error} If API call fails or times out
+   * @returns {Promise<Object|null>} Lyrics object or null if nothing acceptable was found
+   */
+  async searchBestMatch(trackName, artistName, duration, albumName = '') {
+    const searchTitle = stripTitleSuffixes(trackName);
+    const primaryArtist = artistName.split(',')[0].trim();
+
+    let candidates;
+    try {
+      logger.debug('Searching LRCLIB', {
+        track: searchTitle,
+        artist: primaryArtist,
+      });
+
+      const response = await this.client.get('/search', {
+        params: {
+          track_name: searchTitle,
+          artist_name: primaryArtist,
+        },
+      });
+      candidates = Array.isArray(response.data) ? response.data : [];
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+
+      this.logRequestError(error);
+      throw error;
+    }
+
+    const ranked = candidates
+      .map((candidate) => ({
+        candidate,
+        ...this.scoreCandidate(candidate, { trackName, artistName, duration, albumName }),
+      }))
+      .filter((result) => !result.rejected)
+      .sort((a, b) => b.synced - a.synced || b.score - a.score);
+
+    if (ranked.length === 0) {
+      logger.debug('No acceptable LRCLIB search candidates', {
+        track: searchTitle,
+        candidates: candidates.length,
+      });
+      return null;
+    }
+
+    const best = ranked[0];
+    logger.info('Selected LRCLIB search candidate', {
+      track: trackName,
+      match: `${best.candidate.artistName} - ${best.candidate.trackName}`,
+      score: Math.round(best.score * 100) / 100,
+      reasons: best.reasons,
+      candidates: candidates.length,
+    });
+
+    return this.toLyricsData(best.candidate, trackName);
+  }
+
+  /**
+   * Score an LRCLIB search candidate against the Spotify track
+   * @param {Object} candidate - LRCLIB search result
+   * @param {Object} track - {trackName, artistName, duration, albumName}
+   * @returns {Object} {score, synced, rejected, reasons}
+   */
+  scoreCandidate(candidate, { trackName, artistName, duration, albumName }) {
+    const reasons = {};
+
+    // Duration distance (LRCLIB reports seconds)
+    const durationDiff =
+      duration && candidate.duration ? Math.abs(candidate.duration * 1000 - duration) : null;
+    if (durationDiff !== null && durationDiff > SEARCH_DURATION_TOLERANCE) {
+      return { score: 0, synced: 0, rejected: true, reasons: { durationDiff } };
+    }
+    const durationScore =
+      durationDiff === null ? 0.5 : 1 - durationDiff / SEARCH_DURATION_TOLERANCE;
+    reasons.durationDiff = durationDiff;
+
+    // Title similarity on normalized, suffix-free titles
+    const wanted = normalizeText(stripTitleSuffixes(trackName));
+    const found = normalizeText(stripTitleSuffixes(candidate.trackName));
+    let titleScore;
+    if (wanted === found) {
+      titleScore = 1;
+    } else if (wanted && found && (found.includes(wanted) || wanted.includes(found))) {
+      titleScore = 0.8;
+    } else {
+      titleScore = tokenOverlap(wanted.split(' '), found.split(' '));
+    }
+    reasons.title = Math.round(titleScore * 100) / 100;
+    if (titleScore < SEARCH_MIN_TITLE_SCORE) {
+      return { score: 0, synced: 0, rejected: true, reasons };
+    }
+
+    // Share of Spotify artists credited on the candidate
+    const wantedArtists = splitArtists(artistName);
+    const foundArtists = splitArtists(candidate.artistName);
+    const artistScore = wantedArtists.length
+      ? wantedArtists.filter((name) => foundArtists.includes(name)).length / wantedArtists.length
+      : 0;
+    reasons.artist = Math.round(artistScore * 100) / 100;
+    if (artistScore === 0) {
+      return { score: 0, synced: 0, rejected: true, reasons };
+    }
+
+    const albumScore =
+      albumName && normalizeText(albumName) === normalizeText(candidate.albumName) ? 1 : 0;
+    reasons.album = albumScore === 1;
+
+    const synced = candidate.syncedLyrics ? 1 : 0;
+    reasons.synced = synced === 1;
+
+    return {
+      score: titleScore * 4 + artistScore * 3 + durationScore * 2 + albumScore,
+      synced,
+      rejected: false,
+      reasons,
+    };
+  }
+
+  /**
+   * Convert an LRCLIB record into the lyrics object returned by this service
+   * @param {Object} data - LRCLIB /get or /search record
+   * @param {string} trackName - Song title, for logging
+   * @returns {Object} {instrumental, syncedLyrics, plainLyrics}
+   */
+  toLyricsData(data, trackName) {
+    // Check if track is instrumental
+    if (data.instrumental) {
+      logger.debug('Track is instrumental', {
+        track: trackName,
+      });
+      return {
+        instrumental: true,
+        syncedLyrics: null,
+        plainLyrics: null,
+      };
+    }
+
+    // Return both synced and plain lyrics if available
+    return {
+      instrumental: false,
+      syncedLyrics: data.syncedLyrics || null,
+      plainLyrics: data.plainLyrics || null,
+    };
+  }
+
+  /**
+   * Log a failed LRCLIB request
+   * Timeouts and server errors are rethrown by callers so misses are not cached for transient failures
+   * @param {Error} error - Axios error
+   */
+  logRequestError(error) {
+    if (error.code === 'ECONNABORTED') {
+      logger.warn('LRCLIB API request timeout');
+    } else {
+      logger.warn('LRCLIB API error', {
+        status: error.response?.status,
+        message: error.message,
+      });
+    }
+  }
+}
+
+/**
+ * Share of tokens two word lists have in common (Jaccard index)
+ * @param {Array} a - First token list
+ * @param {Array} b - Second token list
+ * @returns {number} Overlap between 0 and 1
+ */
+function tokenOverlap(a, b) {
+  const setA = new Set(a.filter(Boolean));
+  const setB = new Set(b.filter(Boolean));
+  if (setA.size === 0 || setB.size === 0) return 0;
+
+  const shared = [...setA].filter((token) => setB.has(token)).length;
+  return shared / (setA.size + setB.size - shared);
+}
+
+LrclibProvider.API_BASE = LRCLIB_API_BASE;
+
+module.exports = LrclibProvider;
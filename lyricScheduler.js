@@ -0,0 +1,94 @@
+/**
+ * Lyric Scheduler Module
+ * Fires status updates at the exact timestamp of the next lyric line
+ * Works from the local playback clock so Spotify polling only corrects drift
+ */
+
+const logger = require('./logger');
+const { getNextLyricTime } = require('./utils');
+
+// Fire slightly after the timestamp so the new line is already active
+const TIMER_LEEWAY = 20;
+
+class LyricScheduler {
+  /**
+   * @param {Function} onTick - Called when a scheduled lyric change is due
+   */
+  constructor(onTick) {
+    this.onTick = onTick;
+    this.timer = null;
+    this.nextTime = null;
+    this.dueAt = null;
+  }
+
+  /**
+   * Schedule the next tick for the first lyric after the given position
+   * Any previously planned tick is cancelled
+   * @param {Array} lyrics - Parsed lyrics array
+   * @param {number} positionMs - Current position on the lyric timeline
+   */
+  plan(lyrics, positionMs) {
+    this.cancel();
+
+    const nextTime = getNextLyricTime(lyrics, positionMs);
+    if (nextTime === null) {
+      logger.debug('No further lyric lines to schedule');
+      return;
+    }
+
+    this.nextTime = nextTime;
+    this.schedule(nextTime - positionMs + TIMER_LEEWAY);
+  }
+
+  /**
+   * Schedule a tick after a fixed delay (e.g. when rate limited)
+   * @param {number} delayMs - Delay in milliseconds
+   */
+  retryIn(delayMs) {
+    this.cancel();
+    this.schedule(delayMs);
+  }
+
+  /**
+   * Make sure a tick happens within a delay (e.g. when one output is rate limited)
+   * A tick already planned for earlier is kept
+   * @param {number} delayMs - Longest delay in milliseconds
+   */
+  retryWithin(delayMs) {
+    if (this.timer && this.dueAt <= Date.now() + delayMs) {
+      return;
+    }
+    this.retryIn(delayMs);
+  }
+
+  /**
+   * Cancel the pending tick, if any
+   */
+  cancel() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.nextTime = null;
+    this.dueAt = null;
+  }
+
+  /**
+   * Arm the timer
+   * @param {number} delayMs - Delay in milliseconds
+   */
+  schedule(delayMs) {
+    const delay = Math.max(0, Math.round(delayMs));
+    logger.debug('Scheduled next status update', { in: delay });
+
+    this.dueAt = Date.now() + delay;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.nextTime = null;
+      this.dueAt = null;
+      this.onTick();
+    }, delay);
+  }
+}
+
+module.exports = LyricScheduler;
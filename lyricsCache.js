@@ -0,0 +1,347 @@
+/**
+ * Persistent Lyrics Cache Module
+ * Stores lyrics on disk so they survive restarts
+ * Evicts least recently used entries and remembers misses with a shorter TTL
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const INDEX_FILE = 'index.json';
+
+// Entry statuses
+const CACHE_STATUS = {
+  FOUND: 'found',
+  NOT_FOUND: 'not_found',
+  INSTRUMENTAL: 'instrumental',
+  // Only plain lyrics, which are unused while PLAIN_LYRICS_FALLBACK is off
+  PLAIN_ONLY: 'plain_only',
+};
+
+class LyricsCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {string} options.directory - Directory holding the cache files
+   * @param {number} options.ttl - TTL for found lyrics in milliseconds
+   * @param {number} options.negativeTtl - TTL for not found / instrumental results in milliseconds
+   * @param {number} options.maxEntries - Maximum number of entries
+   * @param {number} options.maxBytes - Maximum total size of lyric files in bytes
+   */
+  constructor({
+    directory = path.join('.cache', 'lyrics'),
+    ttl = 30 * 24 * 60 * 60 * 1000, // 30 days
+    negativeTtl = 24 * 60 * 60 * 1000, // 1 day
+    maxEntries = 1000,
+    maxBytes = 20 * 1024 * 1024, // 20 MB
+  } = {}) {
+    this.directory = path.resolve(directory);
+    this.ttl = ttl;
+    this.negativeTtl = negativeTtl;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+
+    // Map keeps entries in LRU order: oldest first, most recently used last
+    this.index = new Map();
+    this.totalBytes = 0;
+
+    this.load();
+  }
+
+  /**
+   * Generate cache key from track info
+   * @param {string} trackName - Track name
+   * @param {string} artistName - Artist name
+   * @returns {string} Cache key
+   */
+  generateKey(trackName, artistName) {
+    return `${trackName}::${artistName}`.toLowerCase();
+  }
+
+  /**
+   * Store found lyrics
+   * @param {string} trackName - Track name
+   * @param {string} artistName - Artist name
+   * @param {Array} lyrics - Parsed lyrics array
+   * @param {string} source - Name of the provider that supplied the lyrics
+   * @param {Object} options - Entry options
+   * @param {boolean} options.estimated - Timings were estimated from plain lyrics
+   */
+  set(trackName, artistName, lyrics, source = null, { estimated = false } = {}) {
+    const key = this.generateKey(trackName, artistName);
+    const file = `${crypto.createHash('sha1').update(key).digest('hex')}.json`;
+    const data = JSON.stringify({ key, lyrics });
+
+    try {
+      this.ensureDirectory();
+      fs.writeFileSync(path.join(this.directory, file), data);
+    } catch (error) {
+      logger.warn('Failed to write lyrics cache entry', {
+        track: trackName,
+        error: error.message,
+      });
+      return;
+    }
+
+    this.store(key, {
+      status: CACHE_STATUS.FOUND,
+      source,
+      estimated,
+      file,
+      size: Buffer.byteLength(data),
+      expiresAt: Date.now() + this.ttl,
+    });
+  }
+
+  /**
+   * Remember that a track has no lyrics
+   * @param {string} trackName - Track name
+   * @param {string} artistName - Artist name
+   * @param {string} status - CACHE_STATUS.NOT_FOUND, INSTRUMENTAL or PLAIN_ONLY
+   */
+  setMiss(trackName, artistName, status = CACHE_STATUS.NOT_FOUND) {
+    const key = this.generateKey(trackName, artistName);
+    this.store(key, {
+      status,
+      source: null,
+      file: null,
+      size: 0,
+      expiresAt: Date.now() + this.negativeTtl,
+    });
+  }
+
+  /**
+   * Get cache entry if valid
+   * @param {string} trackName - Track name
+   * @param {string} artistName - Artist name
+   * @returns {Object|null} {status, lyrics, source, estimated} or null if missing or expired
+   */
+  get(trackName, artistName) {
+    const key = this.generateKey(trackName, artistName);
+    const entry = this.index.get(key);
+
+    if (!entry) return null;
+
+    // Check if cache expired
+    if (Date.now() > entry.expiresAt) {
+      this.remove(key);
+      this.saveIndex();
+      return null;
+    }
+
+    let lyrics = null;
+    if (entry.status === CACHE_STATUS.FOUND) {
+      try {
+        lyrics = JSON.parse(fs.readFileSync(path.join(this.directory, entry.file), 'utf8')).lyrics;
+      } catch (error) {
+        logger.warn('Dropping unreadable lyrics cache entry', {
+          track: trackName,
+          error: error.message,
+        });
+        this.remove(key);
+        this.saveIndex();
+        return null;
+      }
+    }
+
+    // Move to the most recently used end
+    this.index.delete(key);
+    this.index.set(key, { ...entry, lastAccess: Date.now() });
+    this.saveIndex();
+
+    return {
+      status: entry.status,
+      lyrics,
+      source: entry.source || null,
+      estimated: !!entry.estimated,
+    };
+  }
+
+  /**
+   * Remove a single track from the cache
+   * @param {string} trackName - Track name
+   * @param {string} artistName - Artist name
+   * @returns {boolean} True if an entry was removed
+   */
+  delete(trackName, artistName) {
+    const removed = this.remove(this.generateKey(trackName, artistName));
+    if (removed) {
+      this.saveIndex();
+    }
+    return removed;
+  }
+
+  /**
+   * Clear cache
+   */
+  clear() {
+    for (const key of [...this.index.keys()]) {
+      this.remove(key);
+    }
+    this.saveIndex();
+    logger.info('Lyrics cache cleared');
+  }
+
+  /**
+   * Get cache size
+   * @returns {number} Number of cached items
+   */
+  size() {
+    return this.index.size;
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Object} Entry count and disk usage
+   */
+  stats() {
+    return {
+      entries: this.index.size,
+      bytes: this.totalBytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+    };
+  }
+
+  /**
+   * Insert an entry, replacing any previous one, then evict and persist
+   * @param {string} key - Cache key
+   * @param {Object} entry - Index entry
+   */
+  store(key, entry) {
+    const previous = this.index.get(key);
+    if (previous) {
+      this.index.delete(key);
+      this.totalBytes -= previous.size;
+      // A key always maps to the same file name, so only delete it when the new entry has none
+      if (previous.file && previous.file !== entry.file) {
+        this.unlink(previous.file);
+      }
+    }
+
+    this.index.set(key, { ...entry, lastAccess: Date.now() });
+    this.totalBytes += entry.size;
+
+    this.evict();
+    this.saveIndex();
+  }
+
+  /**
+   * Evict least recently used entries until both limits are met
+   */
+  evict() {
+    while (
+      this.index.size > 0 &&
+      (this.index.size > this.maxEntries || this.totalBytes > this.maxBytes)
+    ) {
+      const oldestKey = this.index.keys().next().value;
+      logger.debug('Evicting lyrics cache entry', { key: oldestKey });
+      this.remove(oldestKey);
+    }
+  }
+
+  /**
+   * Remove an entry and its file without persisting the index
+   * @param {string} key - Cache key
+   * @returns {boolean} True if an entry was removed
+   */
+  remove(key) {
+    const entry = this.index.get(key);
+    if (!entry) return false;
+
+    this.index.delete(key);
+    this.totalBytes -= entry.size;
+    if (entry.file) {
+      this.unlink(entry.file);
+    }
+    return true;
+  }
+
+  /**
+   * Delete a lyric file, ignoring files that are already gone
+   * @param {string} file - File name inside the cache directory
+   */
+  unlink(file) {
+    try {
+      fs.unlinkSync(path.join(this.directory, file));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Failed to delete lyrics cache file', {
+          file,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  /**
+   * Load the index from disk, dropping expired entries
+   */
+  load() {
+    let entries;
+    try {
+      entries = JSON.parse(fs.readFileSync(path.join(this.directory, INDEX_FILE), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Lyrics cache index unreadable, starting empty', {
+          error: error.message,
+        });
+      }
+      return;
+    }
+
+    if (!Array.isArray(entries)) {
+      logger.warn('Lyrics cache index malformed, starting empty');
+      return;
+    }
+
+    const now = Date.now();
+    entries
+      .filter((entry) => entry && typeof entry.key === 'string')
+      .sort((a, b) => a.lastAccess - b.lastAccess)
+      .forEach(({ key, ...entry }) => {
+        if (now > entry.expiresAt) {
+          if (entry.file) this.unlink(entry.file);
+          return;
+        }
+        this.index.set(key, entry);
+        this.totalBytes += entry.size;
+      });
+
+    this.evict();
+    logger.debug('Lyrics cache loaded', {
+      entries: this.index.size,
+      bytes: this.totalBytes,
+    });
+  }
+
+  /**
+   * Persist the index atomically
+   */
+  saveIndex() {
+    const entries = [...this.index.entries()].map(([key, entry]) => ({ key, ...entry }));
+    const indexPath = path.join(this.directory, INDEX_FILE);
+
+    try {
+      this.ensureDirectory();
+      fs.writeFileSync(`${indexPath}.tmp`, JSON.stringify(entries));
+      fs.renameSync(`${indexPath}.tmp`, indexPath);
+    } catch (error) {
+      logger.warn('Failed to save lyrics cache index', {
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Create the cache directory if needed
+   */
+  ensureDirectory() {
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+}
+
+LyricsCache.STATUS = CACHE_STATUS;
+
+module.exports = LyricsCache;
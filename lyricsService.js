@@ -1,184 +1,241 @@
 /**
- * LRCLIB Integration Module
- * Fetches synced lyrics from LRCLIB API
- * Handles caching and error cases (instrumental tracks, not found)
+ * Lyrics Service Module
+ * Queries an ordered chain of lyrics providers (LRCLIB first by default)
+ * Parses synced lyrics and estimates timings for the plain lyrics fallback
  */
 
-const axios = require('axios');
+const path = require('path');
 const logger = require('./logger');
+const LrclibProvider = require('./lrclibProvider');
 const { parseLRC } = require('./utils');
 
-const LRCLIB_API_BASE = 'https://lrclib.net/api';
-const LRCLIB_TIMEOUT = 5000; // 5 seconds timeout
+// Built-in providers selectable by name in LYRICS_PROVIDERS
+const BUILT_IN_PROVIDERS = {
+  lrclib: ({ lrclibApiBase }) => new LrclibProvider({ baseURL: lrclibApiBase }),
+};
+
+// Plain lyrics timing estimation: no singing during a share of the start and end of the track
+const INTRO_RATIO = 0.08;
+const OUTRO_RATIO = 0.1;
+const MAX_INTRO = 20000;
+const MAX_OUTRO = 25000;
+// Every line costs this many characters on top of its length (breath between lines)
+const LINE_BASE_WEIGHT = 10;
+// A blank line between stanzas is a pause worth this many characters
+const STANZA_PAUSE_WEIGHT = 30;
+// "[Chorus]", "[Verse 2]" and similar headers are not sung
+const SECTION_HEADER = /^\[[^\]]*\]$/;
 
 class LyricsService {
-  constructor() {
-    this.client = axios.create({
-      baseURL: LRCLIB_API_BASE,
-      timeout: LRCLIB_TIMEOUT,
+  /**
+   * @param {Array} providers - Ordered providers, each {name, fetch(track)}
+   */
+  constructor(providers = [new LrclibProvider()]) {
+    providers.forEach(validateProvider);
+    this.providers = providers;
+  }
+
+  /**
+   * Create providers from a list of names or module paths
+   * Module paths (starting with "." or "/") must export a provider or a factory returning one
+   * @param {Array} names - e.g. ['./mirrorProvider.js', 'lrclib']
+   * @param {Object} options - Settings for the built-in providers
+   * @param {string} options.lrclibApiBase - LRCLIB API base URL
+   * @throws {Error} If a provider is unknown or invalid
+   * @returns {Array} Provider instances in order
+   */
+  static loadProviders(names, options = {}) {
+    return names.map((name) => {
+      if (BUILT_IN_PROVIDERS[name]) {
+        return BUILT_IN_PROVIDERS[name](options);
+      }
+
+      if (name.startsWith('.') || path.isAbsolute(name)) {
+        const exported = require(path.resolve(name));
+        return typeof exported === 'function' ? exported() : exported;
+      }
+
+      throw new Error(`Unknown lyrics provider: ${name}`);
     });
   }
 
   /**
-   * Fetch synced lyrics from LRCLIB by track name and artist
-   * Uses fuzzy matching for best results
-   * @param {string} trackName - Song title
-   * @param {string} artistName - Artist name(s)
-   * @param {number} duration - Track duration in milliseconds
-   * @throws {Error} If API call fails
-   * @returns {Promise<Object|null>} Lyrics object with synced LRC or null if not found
+   * Ask each provider in turn until one has synced lyrics or reports an instrumental
+   * A plain-only answer is kept in case no later provider has synced lyrics
+   * @param {Object} track - Track object from SpotifyService
+   * @throws {Error} If a provider failed and no other provider had lyrics
+   * @returns {Promise<Object|null>} {syncedLyrics, plainLyrics, instrumental, source} or null if not found
    */
-  async fetchLyrics(trackName, artistName, duration) {
-    try {
-      logger.debug('Fetching lyrics from LRCLIB', {
-        track: trackName,
-        artist: artistName,
-      });
-
-      // Extract first artist name if multiple are present
-      const primaryArtist = artistName.split(',')[0].trim();
-
-      const response = await this.client.get('/get', {
-        params: {
-          track_name: trackName,
-          artist_name: primaryArtist,
-          duration_ms: duration,
-        },
-      });
-
-      if (!response.data) {
-        logger.debug('No lyrics found on LRCLIB', {
-          track: trackName,
-          artist: primaryArtist,
+  async fetchLyrics(track) {
+    let plainOnly = null;
+    let lastError = null;
+
+    for (const provider of this.providers) {
+      let result;
+      try {
+        result = await provider.fetch(track);
+      } catch (error) {
+        logger.warn('Lyrics provider failed', {
+          provider: provider.name,
+          track: track.name,
+          error: error.message,
         });
-        return null;
+        lastError = error;
+        continue;
       }
 
-      // Check if track is instrumental
-      if (response.data.instrumental) {
-        logger.debug('Track is instrumental', {
-          track: trackName,
+      if (!result) {
+        logger.debug('Lyrics provider had no match', {
+          provider: provider.name,
+          track: track.name,
         });
-        return {
-          instrumental: true,
-          syncedLyrics: null,
-          plainLyrics: null,
-        };
+        continue;
       }
 
-      // Return both synced and plain lyrics if available
-      return {
-        instrumental: false,
-        syncedLyrics: response.data.syncedLyrics || null,
-        plainLyrics: response.data.plainLyrics || null,
-      };
-    } catch (error) {
-      if (error.code === 'ECONNABORTED') {
-        logger.warn('LRCLIB API request timeout');
-        return null;
+      if (result.instrumental || result.syncedLyrics) {
+        logger.debug('Lyrics provider answered', {
+          provider: provider.name,
+          track: track.name,
+          instrumental: !!result.instrumental,
+        });
+        return { ...normalizeResult(result), source: provider.name };
       }
 
-      if (error.response?.status === 404) {
-        logger.debug('Lyrics not found on LRCLIB', {
-          track: trackName,
-          artist: artistName,
-        });
-        return null;
+      if (result.plainLyrics && !plainOnly) {
+        plainOnly = { ...normalizeResult(result), source: provider.name };
       }
+    }
 
-      logger.warn('LRCLIB API error', {
-        status: error.response?.status,
-        message: error.message,
-      });
-      return null;
+    if (plainOnly) {
+      return plainOnly;
     }
+
+    // Do not report "not found" when the answer may have come from a failed provider
+    if (lastError) {
+      throw lastError;
+    }
+
+    return null;
   }
 
   /**
-   * Fetch and parse synced lyrics
-   * @param {string} trackName - Song title
-   * @param {string} artistName - Artist name(s)
-   * @param {number} duration - Track duration in milliseconds
-   * @returns {Promise<Array|null>} Parsed lyrics array or null
+   * Look up lyrics with one pass over the provider chain and parse them
+   * Synced lyrics are preferred; plain lyrics get estimated timings when plainFallback is set
+   * @param {Object} track - Track object from SpotifyService
+   * @param {Object} options - Search options
+   * @param {boolean} options.plainFallback - Estimate timings for plain-only lyrics
+   * @throws {Error} If a provider failed and no other provider had lyrics
+   * @returns {Promise<Object|null>} {lyrics, estimated, instrumental, source} or null if not found;
+   *   plain-only lyrics without plainFallback give {lyrics: [], plainOnly: true, source}
    */
-  async fetchAndParseLyrics(trackName, artistName, duration) {
-    const lyricsData = await this.fetchLyrics(trackName, artistName, duration);
-
-    if (!lyricsData || !lyricsData.syncedLyrics) {
+  async searchLyrics(track, { plainFallback = false } = {}) {
+    const lyricsData = await this.fetchLyrics(track);
+    if (!lyricsData) {
       return null;
     }
 
-    try {
-      const parsedLyrics = parseLRC(lyricsData.syncedLyrics);
-      logger.debug('Lyrics parsed successfully', {
-        track: trackName,
-        lineCount: parsedLyrics.length,
-      });
-      return parsedLyrics;
-    } catch (error) {
-      logger.error('Failed to parse lyrics', {
-        track: trackName,
-        error: error.message,
-      });
-      return null;
+    const { source } = lyricsData;
+
+    if (lyricsData.instrumental) {
+      return { lyrics: [], estimated: false, instrumental: true, source };
     }
-  }
 
-  /**
-   * Search for lyrics with retry logic
-   * Attempts both synced and plain lyrics as fallback
-   * @param {string} trackName - Song title
-   * @param {string} artistName - Artist name(s)
-   * @param {number} duration - Track duration in milliseconds
-   * @returns {Promise<Array|null>} Parsed lyrics or null
-   */
-  async searchLyrics(trackName, artistName, duration) {
-    // First try synced lyrics
-    const parsed = await this.fetchAndParseLyrics(trackName, artistName, duration);
-    if (parsed) {
-      return parsed;
+    if (lyricsData.syncedLyrics) {
+      const { lyrics } = parseLRC(lyricsData.syncedLyrics);
+      if (lyrics.length > 0) {
+        return { lyrics, estimated: false, instrumental: false, source };
+      }
     }
 
-    // If synced not found, try plain lyrics as fallback
-    try {
-      const lyricsData = await this.fetchLyrics(trackName, artistName, duration);
-      if (lyricsData && lyricsData.plainLyrics && !lyricsData.instrumental) {
-        logger.debug('Using plain lyrics as fallback', {
-          track: trackName,
+    if (plainFallback && lyricsData.plainLyrics) {
+      const lyrics = this.convertPlainToTimed(lyricsData.plainLyrics, track.duration);
+      if (lyrics.length > 0) {
+        logger.debug('Using plain lyrics with estimated timings', {
+          track: track.name,
+          lines: lyrics.length,
         });
-        // Convert plain lyrics to simple timed format (split evenly)
-        return this.convertPlainToTimed(lyricsData.plainLyrics, duration);
+        return { lyrics, estimated: true, instrumental: false, source };
       }
-    } catch (error) {
-      logger.debug('Fallback plain lyrics retrieval failed', {
-        error: error.message,
-      });
+    }
+
+    if (!plainFallback && lyricsData.plainLyrics) {
+      return { lyrics: [], estimated: false, instrumental: false, plainOnly: true, source };
     }
 
     return null;
   }
 
   /**
-   * Convert plain lyrics to timed format by splitting evenly across track duration
-   * This is a basic fallback when synced lyrics aren't available
+   * Estimate timings for plain lyrics
+   * The intro and outro are skipped, then each line gets time in proportion to its length,
+   * with an extra pause at every stanza break
    * @param {string} plainLyrics - Plain lyrics text
    * @param {number} duration - Track duration in milliseconds
-   * @returns {Array} Simple timed lyrics array
+   * @returns {Array} Timed lyrics array
    */
   convertPlainToTimed(plainLyrics, duration) {
-    const lines = plainLyrics
-      .split('\n')
-      .map((line) => line.trim())
-      .filter((line) => line.length > 0);
-
-    if (lines.length === 0) return [];
-
-    const timePerLine = duration / lines.length;
-    return lines.map((lyric, index) => ({
-      time: Math.round(index * timePerLine),
-      lyric,
-    }));
+    const lines = [];
+    let pauseBefore = false;
+
+    plainLyrics.split(/\r?\n/).forEach((rawLine) => {
+      const line = rawLine.trim();
+      if (!line) {
+        pauseBefore = lines.length > 0;
+        return;
+      }
+      if (SECTION_HEADER.test(line)) {
+        return;
+      }
+
+      lines.push({ lyric: line, pauseBefore });
+      pauseBefore = false;
+    });
+
+    if (lines.length === 0 || !duration) return [];
+
+    const intro = Math.min(duration * INTRO_RATIO, MAX_INTRO);
+    const outro = Math.min(duration * OUTRO_RATIO, MAX_OUTRO);
+    const singing = Math.max(0, duration - intro - outro);
+
+    const totalWeight = lines.reduce(
+      (sum, line) =>
+        sum + (line.pauseBefore ? STANZA_PAUSE_WEIGHT : 0) + LINE_BASE_WEIGHT + line.lyric.length,
+      0
+    );
+
+    let elapsedWeight = 0;
+    return lines.map(({ lyric, pauseBefore: pause }) => {
+      // A stanza pause comes before the line starts
+      if (pause) elapsedWeight += STANZA_PAUSE_WEIGHT;
+      const time = Math.round(intro + (elapsedWeight / totalWeight) * singing);
+      elapsedWeight += LINE_BASE_WEIGHT + lyric.length;
+      return { time, lyric };
+    });
   }
 }
 
+/**
+ * Check that an object implements the provider interface
+ * @param {Object} provider - Provider candidate
+ * @throws {Error} If the provider is invalid
+ */
+function validateProvider(provider) {
+  if (!provider || typeof provider.name !== 'string' || typeof provider.fetch !== 'function') {
+    throw new Error('Lyrics providers must have a name and a fetch(track) method');
+  }
+}
+
+/**
+ * Reduce a provider answer to the fields the rest of the bot relies on
+ * @param {Object} result - Provider answer
+ * @returns {Object} {syncedLyrics, plainLyrics, instrumental}
+ */
+function normalizeResult(result) {
+  return {
+    instrumental: !!result.instrumental,
+    syncedLyrics: result.instrumental ? null : result.syncedLyrics || null,
+    plainLyrics: result.instrumental ? null : result.plainLyrics || null,
+  };
+}
+
 module.exports = LyricsService;
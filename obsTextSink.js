@@ -0,0 +1,78 @@
+/**
+ * OBS Text Sink Module
+ * Status sink writing text files for OBS "Text" sources ("Read from file"):
+ * status.txt (the rendered status), lyric.txt, next.txt and track.txt
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// File name -> text taken from a status
+const FILES = {
+  'status.txt': (status) => status.text,
+  'lyric.txt': (status) => status.fields?.lyric || '',
+  'next.txt': (status) => status.fields?.next || '',
+  'track.txt': (status) => formatTrack(status.fields),
+};
+
+class ObsTextSink {
+  /**
+   * @param {Object} options - Sink options
+   * @param {string} options.directory - Directory the text files are written to
+   */
+  constructor({ directory = path.join('.data', 'obs') } = {}) {
+    this.name = 'obs';
+    this.directory = path.resolve(directory);
+  }
+
+  /**
+   * Create the directory and start from empty files
+   */
+  async start() {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await this.clear();
+  }
+
+  /**
+   * Write the files for a status
+   * @param {Object} status - {text, fields}; fields is null for a manual status
+   */
+  async setStatus(status) {
+    await Promise.all(
+      Object.entries(FILES).map(([file, getText]) => this.write(file, getText(status)))
+    );
+  }
+
+  /**
+   * Empty all files so the overlay shows nothing
+   */
+  async clear() {
+    await Promise.all(Object.keys(FILES).map((file) => this.write(file, '')));
+  }
+
+  /**
+   * Replace a file in one step so OBS never reads it half-written
+   * @param {string} file - File name in the directory
+   * @param {string} text - New content
+   */
+  async write(file, text) {
+    const target = path.join(this.directory, file);
+    const temporary = `${target}.tmp`;
+    await fs.promises.writeFile(temporary, text, 'utf8');
+    await fs.promises.rename(temporary, target);
+  }
+}
+
+/**
+ * Track line for track.txt
+ * @param {Object|null} fields - Status placeholder values
+ * @returns {string} "Track - Artist", or '' without a track
+ */
+function formatTrack(fields) {
+  if (!fields || !fields.track) {
+    return '';
+  }
+  return fields.artist ? `${fields.track} - ${fields.artist}` : fields.track;
+}
+
+module.exports = ObsTextSink;
@@ -0,0 +1,167 @@
+/**
+ * Sync Offset Store Module
+ * Persists per-track and per-artist lyric offset overrides
+ * Overrides stack on the global SYNC_OFFSET
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { normalizeText } = require('./utils');
+
+class OffsetStore {
+  /**
+   * @param {string} filePath - JSON file holding the overrides
+   */
+  constructor(filePath = path.join('.data', 'offsets.json')) {
+    this.filePath = path.resolve(filePath);
+    this.tracks = {};
+    this.artists = {};
+
+    this.load();
+  }
+
+  /**
+   * Get the override for a track: its own offset, else its primary artist's default
+   * @param {Object} track - Track object from SpotifyService
+   * @returns {number} Offset in milliseconds (0 if none)
+   */
+  getOffset(track) {
+    if (track.id && this.tracks[track.id] !== undefined) {
+      return this.tracks[track.id];
+    }
+
+    const artistOffset = this.artists[artistKey(track.artists)];
+    return artistOffset !== undefined ? artistOffset : 0;
+  }
+
+  /**
+   * Shift a track's offset, starting from its current effective override
+   * @param {Object} track - Track object from SpotifyService
+   * @param {number} deltaMs - Milliseconds to add (positive shows lyrics earlier)
+   * @returns {number} New track offset in milliseconds
+   */
+  nudgeTrack(track, deltaMs) {
+    return this.setTrackOffset(track, this.getOffset(track) + deltaMs);
+  }
+
+  /**
+   * Set a track's offset
+   * @param {Object} track - Track object from SpotifyService
+   * @param {number} offsetMs - Offset in milliseconds
+   * @returns {number} Saved offset
+   */
+  setTrackOffset(track, offsetMs) {
+    this.tracks[track.id] = Math.round(offsetMs);
+    this.save();
+    return this.tracks[track.id];
+  }
+
+  /**
+   * Remove a track's offset so the artist default applies again
+   * @param {Object} track - Track object from SpotifyService
+   */
+  resetTrack(track) {
+    if (this.tracks[track.id] !== undefined) {
+      delete this.tracks[track.id];
+      this.save();
+    }
+  }
+
+  /**
+   * Set the default offset for an artist
+   * @param {string} artistName - Artist name (the first artist of a track is used)
+   * @param {number} offsetMs - Offset in milliseconds
+   * @returns {number} Saved offset
+   */
+  setArtistOffset(artistName, offsetMs) {
+    const key = artistKey(artistName);
+    this.artists[key] = Math.round(offsetMs);
+    this.save();
+    return this.artists[key];
+  }
+
+  /**
+   * Remove an artist's default offset
+   * @param {string} artistName - Artist name (the first artist of a track is used)
+   */
+  resetArtist(artistName) {
+    const key = artistKey(artistName);
+    if (this.artists[key] !== undefined) {
+      delete this.artists[key];
+      this.save();
+    }
+  }
+
+  /**
+   * Load overrides from disk
+   */
+  load() {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Offset overrides file unreadable, ignoring it', {
+          file: this.filePath,
+          error: error.message,
+        });
+      }
+      return;
+    }
+
+    this.tracks = pickNumbers(data.tracks, (id) => id);
+    // Artist names are hand-written in the file, so normalize them like lookups
+    this.artists = pickNumbers(data.artists, artistKey);
+
+    logger.debug('Offset overrides loaded', {
+      tracks: Object.keys(this.tracks).length,
+      artists: Object.keys(this.artists).length,
+    });
+  }
+
+  /**
+   * Persist overrides to disk
+   */
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(
+        this.filePath,
+        JSON.stringify({ tracks: this.tracks, artists: this.artists }, null, 2)
+      );
+    } catch (error) {
+      logger.warn('Failed to save offset overrides', {
+        file: this.filePath,
+        error: error.message,
+      });
+    }
+  }
+}
+
+/**
+ * Normalized key for the first artist of an artist string
+ * @param {string} artistName - Artist string, e.g. "A, B"
+ * @returns {string} Normalized primary artist
+ */
+function artistKey(artistName) {
+  return normalizeText((artistName || '').split(',')[0]);
+}
+
+/**
+ * Copy numeric values from an object, transforming keys
+ * @param {Object} source - Raw object from the file
+ * @param {Function} toKey - Key transform
+ * @returns {Object} Object with only finite numeric values
+ */
+function pickNumbers(source, toKey) {
+  const result = {};
+  Object.entries(source || {}).forEach(([key, value]) => {
+    if (Number.isFinite(value)) {
+      result[toKey(key)] = value;
+    }
+  });
+  return result;
+}
+
+module.exports = OffsetStore;
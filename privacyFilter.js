@@ -0,0 +1,209 @@
+/**
+ * Privacy Filter Module
+ * Decides what of the playing item may reach Discord: blocklisted artists, tracks,
+ * albums and playback contexts are hidden or shown generically, and lyric lines can be
+ * masked for profanity or hidden for explicit tracks
+ */
+
+const logger = require('./logger');
+const { normalizeText } = require('./utils');
+
+// What a blocklisted item turns into
+const BLOCK_ACTIONS = ['hide', 'generic'];
+
+// Words masked by default; matched at the start of a word, so "fucking" is covered by "fuck"
+const DEFAULT_MASK_WORDS = [
+  'fuck',
+  'shit',
+  'bitch',
+  'cunt',
+  'dick',
+  'pussy',
+  'asshole',
+  'bastard',
+  'motherfuck',
+  'nigga',
+  'nigger',
+  'whore',
+  'slut',
+];
+
+// Spotify links and URIs: spotify:playlist:ID or https://open.spotify.com/playlist/ID
+const SPOTIFY_URI_PATTERN = /^spotify:(\w+):([0-9A-Za-z]+)$/;
+const SPOTIFY_URL_PATTERN = /^https?:\/\/open\.spotify\.com\/(?:intl-\w+\/)?(\w+)\/([0-9A-Za-z]+)/;
+const SPOTIFY_ID_PATTERN = /^[0-9A-Za-z]{22}$/;
+
+// Rules for these compare bare IDs; other kinds (playlists, shows) compare full URIs
+const ID_KINDS = ['artist', 'album', 'track'];
+
+class PrivacyFilter {
+  /**
+   * @param {Object} options - Filter rules
+   * @param {Array} options.artists - Artist names or Spotify artist IDs/URIs/links
+   * @param {Array} options.tracks - Spotify track IDs/URIs/links
+   * @param {Array} options.albums - Album names or Spotify album IDs/URIs/links
+   * @param {Array} options.contexts - Playlist, album or artist URIs/links being played from
+   * @param {string} options.action - hide (show your own status) or generic (private template)
+   * @param {boolean} options.maskProfanity - Mask listed words in every lyric line
+   * @param {boolean} options.hideExplicitLyrics - Show no lyric lines for explicit tracks
+   * @param {Array} options.maskWords - Words to mask (defaults to a short built-in list)
+   */
+  constructor({
+    artists = [],
+    tracks = [],
+    albums = [],
+    contexts = [],
+    action = 'generic',
+    maskProfanity = false,
+    hideExplicitLyrics = false,
+    maskWords = DEFAULT_MASK_WORDS,
+  } = {}) {
+    if (!BLOCK_ACTIONS.includes(action)) {
+      throw new Error(`Unknown privacy action: ${action} (use ${BLOCK_ACTIONS.join(', ')})`);
+    }
+
+    this.artists = new Set(artists.map(toMatchKey));
+    this.tracks = new Set(tracks.map(toMatchKey));
+    this.albums = new Set(albums.map(toMatchKey));
+    this.contexts = new Set(contexts.map(toMatchKey));
+    this.action = action;
+    this.maskProfanity = maskProfanity;
+    this.hideExplicitLyrics = hideExplicitLyrics;
+    this.maskPattern = buildMaskPattern(maskWords);
+
+    // Only log a block once per item instead of on every poll
+    this.lastBlockedId = null;
+  }
+
+  /**
+   * Apply the rules to what Spotify reports as playing
+   * Blocked items become {type: 'hidden'} (hide) or a track of type 'private' without
+   * metadata (generic); allowed tracks get `lyricsFilter` ('mask' or 'hide') when needed
+   * @param {Object|null} track - Item from SpotifyService.getCurrentlyPlaying()
+   * @returns {Object|null} Item the bot should act on
+   */
+  apply(track) {
+    if (!track || (track.type !== 'track' && track.type !== 'episode')) {
+      return track;
+    }
+
+    const rule = this.findRule(track);
+    if (rule) {
+      if (this.lastBlockedId !== track.id) {
+        this.lastBlockedId = track.id;
+        logger.info('Playing item matches a privacy rule', {
+          rule,
+          action: this.action,
+        });
+      }
+
+      if (this.action === 'hide') {
+        return { type: 'hidden', isPlaying: track.isPlaying };
+      }
+
+      // Keep only what the clock and track change detection need
+      return {
+        type: 'private',
+        id: track.id,
+        name: '',
+        artists: '',
+        album: '',
+        duration: track.duration,
+        progress: track.progress,
+        isPlaying: track.isPlaying,
+      };
+    }
+
+    this.lastBlockedId = null;
+
+    if (track.type === 'track') {
+      if (track.explicit && this.hideExplicitLyrics) {
+        return { ...track, lyricsFilter: 'hide' };
+      }
+      if (this.maskProfanity) {
+        return { ...track, lyricsFilter: 'mask' };
+      }
+    }
+
+    return track;
+  }
+
+  /**
+   * Find the first rule that matches an item
+   * @param {Object} track - Track or episode from SpotifyService
+   * @returns {string|null} Matching rule (artist, track, album or context) or null
+   */
+  findRule(track) {
+    if (this.tracks.has(track.id)) {
+      return 'track';
+    }
+    if (track.context && this.contexts.has(toMatchKey(track.context))) {
+      return 'context';
+    }
+
+    const artistKeys = [
+      ...(track.artistIds || []),
+      track.artists,
+      ...(track.artists || '').split(','),
+    ].map(toMatchKey);
+    if (artistKeys.some((key) => this.artists.has(key))) {
+      return 'artist';
+    }
+
+    const albumKeys = [track.albumId, track.album].filter(Boolean).map(toMatchKey);
+    if (albumKeys.some((key) => this.albums.has(key))) {
+      return 'album';
+    }
+
+    return null;
+  }
+
+  /**
+   * Mask listed words, keeping their first letter: "shit" -> "s***"
+   * @param {string} text - Lyric line
+   * @returns {string} Masked text
+   */
+  mask(text) {
+    if (!text || !this.maskPattern) {
+      return text;
+    }
+    return text.replace(this.maskPattern, (word) => word[0] + '*'.repeat(word.length - 1));
+  }
+}
+
+/**
+ * Comparable form of a rule or value: Spotify IDs as-is, names normalized
+ * Artist, album and track links and URIs are reduced to their ID
+ * @param {string} value - Name, ID, URI or link
+ * @returns {string} Match key
+ */
+function toMatchKey(value) {
+  const text = String(value || '').trim();
+  const match = text.match(SPOTIFY_URI_PATTERN) || text.match(SPOTIFY_URL_PATTERN);
+  if (match) {
+    const [, kind, id] = match;
+    return ID_KINDS.includes(kind) ? id : `spotify:${kind}:${id}`;
+  }
+  return SPOTIFY_ID_PATTERN.test(text) ? text : normalizeText(text);
+}
+
+/**
+ * Build one regex matching any word that starts with a listed word
+ * @param {Array} words - Words to mask
+ * @returns {RegExp|null} Case-insensitive pattern or null for an empty list
+ */
+function buildMaskPattern(words) {
+  const escaped = words
+    .map((word) => word.trim())
+    .filter(Boolean)
+    .map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  if (escaped.length === 0) {
+    return null;
+  }
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${escaped.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+}
+
+PrivacyFilter.BLOCK_ACTIONS = BLOCK_ACTIONS;
+PrivacyFilter.DEFAULT_MASK_WORDS = DEFAULT_MASK_WORDS;
+
+module.exports = PrivacyFilter;
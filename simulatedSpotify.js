@@ -0,0 +1,356 @@
+/**
+ * Simulated Spotify Module
+ * Plays back a scripted timeline (tracks, seeks, pauses, skips) in place of SpotifyService
+ * and serves each track's lyrics from local fixture files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseLRC, getLyricAtProgress } = require('./utils');
+
+// skip moves to the next track in "tracks" order; end stops playback and the simulation
+const ACTIONS = ['play', 'skip', 'seek', 'pause', 'resume', 'stop', 'end'];
+// How early or late a line may show before checkStatuses reports it
+const CHECK_TOLERANCE = 250;
+
+class SimulatedSpotify {
+  /**
+   * @param {Object} timeline - {tracks: {key: track}, events: [{at, action, ...}], discord}
+   * @param {Object} options - Simulation options
+   * @param {string} options.baseDir - Directory lyric fixture paths are relative to
+   * @throws {Error} If the timeline is invalid or a fixture cannot be read
+   */
+  constructor(timeline, { baseDir = process.cwd() } = {}) {
+    if (!timeline || typeof timeline.tracks !== 'object' || !Array.isArray(timeline.events)) {
+      throw new Error('Timeline needs a "tracks" object and an "events" array');
+    }
+
+    this.tracks = {};
+    Object.entries(timeline.tracks).forEach(([key, track]) => {
+      this.tracks[key] = loadTrack(key, track, baseDir);
+    });
+    this.trackKeys = Object.keys(this.tracks);
+
+    // Parsed synced fixtures by track key, to tell which line is due when
+    this.lines = {};
+    Object.entries(this.tracks).forEach(([key, track]) => {
+      const synced = track.lyrics?.syncedLyrics;
+      this.lines[key] = synced ? parseLRC(synced).lyrics : null;
+    });
+    this.events = validateEvents(timeline.events, this.tracks);
+
+    // Simulation ends with the last event
+    this.duration = this.events.length > 0 ? this.events[this.events.length - 1].at : 0;
+    this.startedAt = null;
+
+    // Settings for the recording Discord endpoint, e.g. {rateLimit: {limit, windowMs}}
+    this.discord = timeline.discord || {};
+  }
+
+  /**
+   * Load a timeline file; fixture paths in it are relative to the file
+   * @param {string} filePath - Timeline JSON file
+   * @returns {SimulatedSpotify} Simulation
+   * @throws {Error} If the file is unreadable or invalid
+   */
+  static fromFile(filePath) {
+    const resolved = path.resolve(filePath);
+    let timeline;
+    try {
+      timeline = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read timeline ${resolved}: ${error.message}`);
+    }
+
+    return new SimulatedSpotify(timeline, { baseDir: path.dirname(resolved) });
+  }
+
+  /**
+   * Start the timeline clock
+   */
+  start() {
+    this.startedAt = Date.now();
+  }
+
+  /**
+   * Milliseconds since start()
+   * @returns {number} Elapsed time (0 before start)
+   */
+  getElapsed() {
+    return this.startedAt === null ? 0 : Date.now() - this.startedAt;
+  }
+
+  /**
+   * Same contract as SpotifyService.getCurrentlyPlaying()
+   * @returns {Promise<Object|null>} Scripted playback or null if nothing is playing
+   */
+  async getCurrentlyPlaying() {
+    const playback = this.getPlaybackAt(this.getElapsed());
+    if (!playback) {
+      return null;
+    }
+
+    const { lyrics, ...track } = this.tracks[playback.key];
+    return {
+      ...track,
+      progress: playback.progress,
+      isPlaying: playback.isPlaying,
+    };
+  }
+
+  /**
+   * The simulation is never rate limited
+   * @returns {number} Always 0
+   */
+  getRetryAfter() {
+    return 0;
+  }
+
+  /**
+   * Replay the events up to a point of the timeline
+   * A track that runs past its duration stops playback until the next event
+   * @param {number} elapsed - Milliseconds since start
+   * @returns {Object|null} {key, progress, isPlaying} or null if nothing is playing
+   */
+  getPlaybackAt(elapsed) {
+    let state = null;
+
+    for (const event of this.events) {
+      if (event.at > elapsed) {
+        break;
+      }
+
+      const progress = state ? progressAt(state, event.at) : 0;
+      if (state && progress >= this.tracks[state.key].duration) {
+        state = null;
+      }
+
+      switch (event.action) {
+        case 'play':
+          state = { key: event.track, base: event.progress || 0, since: event.at, playing: true };
+          break;
+        case 'skip':
+          if (state) {
+            const next = (this.trackKeys.indexOf(state.key) + 1) % this.trackKeys.length;
+            state = { key: this.trackKeys[next], base: 0, since: event.at, playing: true };
+          }
+          break;
+        case 'seek':
+          if (state) {
+            state = { ...state, base: event.progress, since: event.at };
+          }
+          break;
+        case 'pause':
+          if (state) {
+            state = { ...state, base: progress, since: event.at, playing: false };
+          }
+          break;
+        case 'resume':
+          if (state) {
+            state = { ...state, since: event.at, playing: true };
+          }
+          break;
+        default:
+          // stop and end
+          state = null;
+      }
+    }
+
+    if (!state) {
+      return null;
+    }
+
+    const progress = progressAt(state, elapsed);
+    if (progress >= this.tracks[state.key].duration) {
+      return null;
+    }
+    return { key: state.key, progress, isPlaying: state.playing };
+  }
+
+  /**
+   * What should be on screen at a point of the timeline, for comparing with sent statuses
+   * @param {number} elapsed - Milliseconds since start (default: now)
+   * @returns {Object} {elapsedMs, track, progress, isPlaying, lyric}
+   */
+  describe(elapsed = this.getElapsed()) {
+    const playback = this.getPlaybackAt(elapsed);
+    if (!playback) {
+      return { elapsedMs: elapsed, track: null, progress: null, isPlaying: false, lyric: null };
+    }
+
+    const lines = this.lines[playback.key];
+    return {
+      elapsedMs: elapsed,
+      track: this.tracks[playback.key].name,
+      progress: playback.progress,
+      isPlaying: playback.isPlaying,
+      lyric: lines ? getLyricAtProgress(lines, playback.progress) : null,
+    };
+  }
+
+  /**
+   * Find recorded statuses that did not show the lyric line due when they were sent
+   * A line may show up to `tolerance` early or late. After an event the bot only notices the
+   * change at its next poll, so statuses are not checked until that poll is due. Statuses
+   * sent during a gap, a pause or a track without synced lyrics are not checked either
+   * @param {Array} records - Recorded payloads {status, customStatus, elapsedMs}
+   * @param {Object} options - Check options
+   * @param {Object} options.polling - The bot's poll delays in ms
+   *   {interval, pausedInterval, idleInterval, backoffAfter}
+   * @param {number} options.tolerance - Milliseconds a line may be early or late
+   * @returns {Object} {checked, mismatches: [{elapsedMs, text, expected}]}
+   */
+  checkStatuses(records, { polling, tolerance = CHECK_TOLERANCE }) {
+    let checked = 0;
+    const mismatches = [];
+
+    records.forEach(({ status, customStatus, elapsedMs }) => {
+      const text = customStatus?.text;
+      const settled = elapsedMs >= this.getSettledAt(elapsedMs, polling) + tolerance;
+      if (status !== 200 || !text || !settled) {
+        return;
+      }
+
+      const due = [elapsedMs - tolerance, elapsedMs, elapsedMs + tolerance].map((elapsed) => {
+        const { isPlaying, lyric } = this.describe(elapsed);
+        return isPlaying ? lyric : null;
+      });
+      if (due.some((lyric) => !lyric)) {
+        return;
+      }
+
+      checked += 1;
+      if (!due.some((lyric) => text.includes(lyric))) {
+        mismatches.push({ elapsedMs, text, expected: [...new Set(due)] });
+      }
+    });
+
+    return { checked, mismatches };
+  }
+
+  /**
+   * When the bot has surely polled after the last event before a point of the timeline
+   * The bot polls once when it starts, so events at 0 are seen right away
+   * @param {number} elapsed - Milliseconds since start
+   * @param {Object} polling - See checkStatuses
+   * @returns {number} Milliseconds since start
+   */
+  getSettledAt(elapsed, polling) {
+    const past = this.events.filter((event) => event.at <= elapsed);
+    const last = past[past.length - 1];
+    if (!last || last.at === 0) {
+      return 0;
+    }
+
+    // Polling only slows down once a pause or idle stretch has lasted a while
+    const before = this.getPlaybackAt(last.at - 1);
+    const since = past.length > 1 ? past[past.length - 2].at : 0;
+    let interval = polling.interval;
+    if (!before?.isPlaying && last.at - since >= polling.backoffAfter) {
+      interval = before ? polling.pausedInterval : polling.idleInterval;
+    }
+    return last.at + interval;
+  }
+
+  /**
+   * Lyrics provider serving the fixtures of the timeline's tracks
+   * @returns {Object} Provider {name, fetch(track)}
+   */
+  getLyricsProvider() {
+    const byId = new Map(Object.values(this.tracks).map((track) => [track.id, track.lyrics]));
+    return {
+      name: 'fixtures',
+      fetch: async (track) => byId.get(track.id) || null,
+    };
+  }
+}
+
+/**
+ * Build a track from its timeline entry and read its lyric fixture
+ * @param {string} key - Track key in the timeline
+ * @param {Object} entry - {name, artists, album, duration, lyrics, instrumental, explicit, id}
+ * @param {string} baseDir - Directory fixture paths are relative to
+ * @returns {Object} Track in SpotifyService form plus `lyrics` (provider result or null)
+ * @throws {Error} If a field is missing or the fixture cannot be read
+ */
+function loadTrack(key, entry, baseDir) {
+  if (!entry || typeof entry.name !== 'string' || !(entry.duration > 0)) {
+    throw new Error(`Timeline track "${key}" needs a name and a positive duration`);
+  }
+
+  let lyrics = null;
+  if (entry.instrumental) {
+    lyrics = { instrumental: true, syncedLyrics: null, plainLyrics: null };
+  } else if (entry.lyrics) {
+    const file = path.resolve(baseDir, entry.lyrics);
+    let content;
+    try {
+      content = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read lyrics fixture for "${key}": ${error.message}`);
+    }
+
+    // .lrc files are synced, anything else is plain text
+    const synced = path.extname(file).toLowerCase() === '.lrc';
+    lyrics = {
+      instrumental: false,
+      syncedLyrics: synced ? content : null,
+      plainLyrics: synced ? null : content,
+    };
+  }
+
+  return {
+    type: 'track',
+    id: entry.id || `simulated-${key}`,
+    name: entry.name,
+    artists: entry.artists || '',
+    artistIds: [],
+    album: entry.album || '',
+    albumId: null,
+    duration: entry.duration,
+    explicit: Boolean(entry.explicit),
+    context: null,
+    externalUrl: null,
+    lyrics,
+  };
+}
+
+/**
+ * Check the events and sort them by time
+ * @param {Array} events - Timeline events
+ * @param {Object} tracks - Loaded tracks by key
+ * @returns {Array} Events in time order
+ * @throws {Error} On an unknown action or track, or a missing time or progress
+ */
+function validateEvents(events, tracks) {
+  events.forEach((event, index) => {
+    const where = `Timeline event ${index + 1}`;
+    if (!event || !(event.at >= 0)) {
+      throw new Error(`${where} needs "at" (milliseconds since start)`);
+    }
+    if (!ACTIONS.includes(event.action)) {
+      throw new Error(`${where} has unknown action "${event.action}"`);
+    }
+    if (event.action === 'play' && !tracks[event.track]) {
+      throw new Error(`${where} plays unknown track "${event.track}"`);
+    }
+    if (event.action === 'seek' && !(event.progress >= 0)) {
+      throw new Error(`${where} needs "progress" to seek to`);
+    }
+  });
+
+  // Stable sort keeps same-time events in file order
+  return [...events].sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Track progress of a playback state at a point of the timeline
+ * @param {Object} state - {base, since, playing}
+ * @param {number} elapsed - Milliseconds since start
+ * @returns {number} Progress in milliseconds
+ */
+function progressAt(state, elapsed) {
+  return state.playing ? state.base + (elapsed - state.since) : state.base;
+}
+
+module.exports = SimulatedSpotify;
@@ -0,0 +1,219 @@
+/**
+ * Spotify Authorization Module
+ * Runs the Authorization Code flow with PKCE against a local callback server
+ * Used by `node index.js auth` to obtain the refresh token
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const axios = require('axios');
+const logger = require('./logger');
+
+const SPOTIFY_AUTHORIZE_URL = 'https://accounts.spotify.com/authorize';
+const SPOTIFY_TOKEN_URL = 'https://accounts.spotify.com/api/token';
+
+// Spotify only allows plain http redirects to loopback addresses
+const DEFAULT_REDIRECT_URI = 'http://127.0.0.1:8888/callback';
+const LOOPBACK_HOSTS = ['127.0.0.1', '[::1]', 'localhost'];
+
+const DEFAULT_SCOPES = ['user-read-playback-state', 'user-read-currently-playing'];
+
+// Give up if the browser never comes back
+const AUTH_TIMEOUT = 5 * 60 * 1000;
+
+class SpotifyAuth {
+  /**
+   * @param {Object} options - Authorization options
+   * @param {string} options.clientId - Spotify app client ID
+   * @param {string} options.redirectUri - Loopback redirect URI registered for the app
+   * @param {Array} options.scopes - OAuth scopes to request
+   * @param {number} options.timeout - Milliseconds to wait for the browser callback
+   * @param {string} options.tokenUrl - Token endpoint URL
+   */
+  constructor({
+    clientId,
+    redirectUri = DEFAULT_REDIRECT_URI,
+    scopes = DEFAULT_SCOPES,
+    timeout = AUTH_TIMEOUT,
+    tokenUrl = SPOTIFY_TOKEN_URL,
+  }) {
+    if (!clientId) {
+      throw new Error('SPOTIFY_CLIENT_ID is required to authorize');
+    }
+
+    this.clientId = clientId;
+    this.redirectUri = new URL(redirectUri);
+    this.scopes = scopes;
+    this.timeout = timeout;
+    this.tokenUrl = tokenUrl;
+
+    const { protocol, hostname } = this.redirectUri;
+    if (protocol !== 'http:' || !LOOPBACK_HOSTS.includes(hostname)) {
+      throw new Error(`Redirect URI must be an http loopback address, got ${redirectUri}`);
+    }
+  }
+
+  /**
+   * Run the whole flow: print the authorize URL, wait for the callback, exchange the code
+   * @param {Function} onUrl - Called with the URL the user has to open
+   * @returns {Promise<Object>} {refreshToken, accessToken, scope}
+   */
+  async authorize(onUrl) {
+    const verifier = crypto.randomBytes(64).toString('base64url');
+    const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+    const state = crypto.randomBytes(16).toString('base64url');
+
+    const server = await this.startCallbackServer();
+    let code;
+    try {
+      const callback = this.waitForCode(server, state);
+      onUrl(this.getAuthorizeUrl(challenge, state));
+      code = await callback;
+    } finally {
+      server.close();
+    }
+
+    return this.exchangeCode(code, verifier);
+  }
+
+  /**
+   * Build the Spotify authorize URL
+   * @param {string} challenge - PKCE code challenge
+   * @param {string} state - Anti-forgery state
+   * @returns {string} URL to open in a browser
+   */
+  getAuthorizeUrl(challenge, state) {
+    const params = new URLSearchParams({
+      client_id: this.clientId,
+      response_type: 'code',
+      redirect_uri: this.redirectUri.href,
+      code_challenge_method: 'S256',
+      code_challenge: challenge,
+      scope: this.scopes.join(' '),
+      state,
+    });
+    return `${SPOTIFY_AUTHORIZE_URL}?${params}`;
+  }
+
+  /**
+   * Listen on the redirect URI's loopback address and port
+   * @returns {Promise<http.Server>} Listening server
+   */
+  startCallbackServer() {
+    return new Promise((resolve, reject) => {
+      const server = http.createServer();
+      server.once('error', reject);
+      // URL keeps the brackets of an IPv6 hostname ("[::1]"), listen() needs the bare address
+      const host = this.redirectUri.hostname.replace(/^\[(.*)\]$/, '$1');
+      server.listen(Number(this.redirectUri.port) || 80, host, () => {
+        server.off('error', reject);
+        resolve(server);
+      });
+    });
+  }
+
+  /**
+   * Wait for Spotify to redirect the browser back with the authorization code
+   * @param {http.Server} server - Listening callback server
+   * @param {string} state - Expected anti-forgery state
+   * @returns {Promise<string>} Authorization code
+   */
+  waitForCode(server, state) {
+    let timer;
+
+    return new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new Error('Timed out waiting for the Spotify authorization callback')),
+        this.timeout
+      );
+
+      server.on('request', (request, response) => {
+        let url;
+        try {
+          url = new URL(request.url, this.redirectUri);
+        } catch (parseError) {
+          // E.g. a request target like "//" from a stray client
+          response.writeHead(400).end();
+          return;
+        }
+        if (url.pathname !== this.redirectUri.pathname) {
+          response.writeHead(404).end();
+          return;
+        }
+
+        const error = url.searchParams.get('error');
+        const code = url.searchParams.get('code');
+        if (error || !code || url.searchParams.get('state') !== state) {
+          sendPage(response, 400, 'Spotify authorization failed. Check the terminal.');
+          const reason = error ? `denied: ${error}` : 'invalid callback';
+          reject(new Error(`Spotify authorization failed (${reason})`));
+          return;
+        }
+
+        sendPage(response, 200, 'Spotify connected. You can close this tab.');
+        resolve(code);
+      });
+    }).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Exchange the authorization code for tokens
+   * @param {string} code - Authorization code from the callback
+   * @param {string} verifier - PKCE code verifier
+   * @returns {Promise<Object>} {refreshToken, accessToken, scope}
+   * @throws {Error} If Spotify rejects the exchange or sends no refresh token
+   */
+  async exchangeCode(code, verifier) {
+    let response;
+    try {
+      response = await axios.post(
+        this.tokenUrl,
+        new URLSearchParams({
+          grant_type: 'authorization_code',
+          code,
+          redirect_uri: this.redirectUri.href,
+          client_id: this.clientId,
+          code_verifier: verifier,
+        }).toString(),
+        {
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+          },
+          timeout: 10000,
+        }
+      );
+    } catch (error) {
+      logger.error('Failed to exchange Spotify authorization code', {
+        status: error.response?.status,
+        error: error.response?.data?.error_description || error.message,
+      });
+      throw new Error('Failed to exchange Spotify authorization code');
+    }
+
+    // Nothing is saved without it, the bot cannot log in on an access token alone
+    if (!response.data?.refresh_token) {
+      throw new Error('Spotify did not return a refresh token');
+    }
+
+    return {
+      refreshToken: response.data.refresh_token,
+      accessToken: response.data.access_token,
+      scope: response.data.scope,
+    };
+  }
+}
+
+/**
+ * Answer the browser with a minimal page
+ * @param {http.ServerResponse} response - Response
+ * @param {number} status - HTTP status code
+ * @param {string} message - Text to show
+ */
+function sendPage(response, status, message) {
+  response.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+  response.end(`<!doctype html><title>Spotify Discord Lyrics</title><p>${message}</p>`);
+}
+
+SpotifyAuth.DEFAULT_REDIRECT_URI = DEFAULT_REDIRECT_URI;
+
+module.exports = SpotifyAuth;
@@ -10,13 +10,38 @@ const logger = require('./logger');
 const SPOTIFY_AUTH_URL = 'https://accounts.spotify.com/api/token';
 const SPOTIFY_API_BASE = 'https://api.spotify.com/v1';
 
+// A hung request would stall the polling loop, which waits for each poll to finish
+const SPOTIFY_TIMEOUT = 10000;
+
+// Used when a 429 arrives without a Retry-After header
+const DEFAULT_RETRY_AFTER = 30000;
+
 class SpotifyService {
-  constructor(clientId, clientSecret, refreshToken) {
+  /**
+   * @param {string} clientId - Spotify app client ID
+   * @param {string} clientSecret - Client secret (not needed for tokens from `node index.js auth`)
+   * @param {string} refreshToken - Refresh token
+   * @param {Object} options - Service options
+   * @param {Function} options.saveToken - Persists a rotated refresh token and returns the file
+   *   written; without it a rotated token only lasts until the bot exits
+   * @param {string} options.apiBase - Web API base URL (e.g. a local mock)
+   * @param {string} options.authUrl - Token endpoint URL
+   */
+  constructor(
+    clientId,
+    clientSecret,
+    refreshToken,
+    { saveToken = null, apiBase = SPOTIFY_API_BASE, authUrl = SPOTIFY_AUTH_URL } = {}
+  ) {
     this.clientId = clientId;
     this.clientSecret = clientSecret;
     this.refreshToken = refreshToken;
+    this.saveToken = saveToken;
+    this.apiBase = apiBase;
+    this.authUrl = authUrl;
     this.accessToken = null;
     this.tokenExpiry = null;
+    this.retryAfterUntil = 0;
   }
 
   /**
@@ -28,28 +53,40 @@ class SpotifyService {
     try {
       logger.debug('Refreshing Spotify access token');
 
-      const auth = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString(
-        'base64'
-      );
+      const body = {
+        grant_type: 'refresh_token',
+        refresh_token: this.refreshToken,
+      };
+      const headers = {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      };
 
-      const response = await axios.post(
-        SPOTIFY_AUTH_URL,
-        {
-          grant_type: 'refresh_token',
-          refresh_token: this.refreshToken,
-        },
-        {
-          headers: {
-            Authorization: `Basic ${auth}`,
-            'Content-Type': 'application/x-www-form-urlencoded',
-          },
-        }
-      );
+      if (this.clientSecret) {
+        const auth = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString(
+          'base64'
+        );
+        headers.Authorization = `Basic ${auth}`;
+      } else {
+        // PKCE clients identify themselves in the body instead
+        body.client_id = this.clientId;
+      }
+
+      const response = await axios.post(this.authUrl, body, {
+        headers,
+        timeout: SPOTIFY_TIMEOUT,
+      });
 
       this.accessToken = response.data.access_token;
       // Set expiry 5 minutes before actual expiry for safety margin
       this.tokenExpiry = Date.now() + (response.data.expires_in - 300) * 1000;
 
+      // Spotify may rotate the refresh token; the old one can stop working
+      const rotated = response.data.refresh_token;
+      if (rotated && rotated !== this.refreshToken) {
+        this.refreshToken = rotated;
+        this.saveRefreshToken();
+      }
+
       logger.debug('Spotify access token refreshed successfully');
       return this.accessToken;
     } catch (error) {
@@ -61,6 +98,25 @@ class SpotifyService {
     }
   }
 
+  /**
+   * Write the current refresh token back to where it was configured
+   */
+  saveRefreshToken() {
+    if (!this.saveToken) {
+      logger.warn('Spotify rotated the refresh token but there is nowhere to save it');
+      return;
+    }
+
+    try {
+      const file = this.saveToken(this.refreshToken);
+      logger.info('Saved rotated Spotify refresh token', { file });
+    } catch (error) {
+      logger.warn('Failed to save rotated Spotify refresh token', {
+        error: error.message,
+      });
+    }
+  }
+
   /**
    * Ensure access token is valid, refresh if necessary
    * @throws {Error} If token refresh fails
@@ -72,43 +128,80 @@ class SpotifyService {
   }
 
   /**
-   * Fetch currently playing track information
-   * @throws {Error} If API call fails or user has no active playback
-   * @returns {Promise<Object>} Currently playing track data
+   * Fetch what is currently playing: a track, a podcast episode or an audiobook chapter
+   * Ads and items Spotify cannot identify come back as {type: 'ad' | 'unknown', isPlaying}
+   * @throws {Error} If API call fails
+   * @returns {Promise<Object|null>} Playing item {type, id, name, artists, album, ...} or null
    */
   async getCurrentlyPlaying() {
     await this.ensureValidToken();
 
     try {
-      const response = await axios.get(`${SPOTIFY_API_BASE}/me/player/currently-playing`, {
+      const response = await axios.get(`${this.apiBase}/me/player/currently-playing`, {
         headers: {
           Authorization: `Bearer ${this.accessToken}`,
         },
+        params: {
+          additional_types: 'track,episode',
+        },
+        timeout: SPOTIFY_TIMEOUT,
       });
 
       // Handle no active playback (204 No Content)
-      if (!response.data || !response.data.item) {
+      if (!response.data) {
         logger.debug('No active Spotify playback');
         return null;
       }
 
-      const track = response.data.item;
-      const artists = track.artists.map((a) => a.name).join(', ');
+      const data = response.data;
+      const playingType = data.currently_playing_type;
+
+      if (playingType === 'ad' || !data.item) {
+        // Ads and unknown items carry no usable metadata
+        logger.debug('Spotify is playing an item without metadata', {
+          type: playingType,
+        });
+        return {
+          type: playingType === 'ad' ? 'ad' : 'unknown',
+          isPlaying: data.is_playing,
+        };
+      }
+
+      const item = data.item;
+      const playback = {
+        id: item.id,
+        name: item.name,
+        duration: item.duration_ms,
+        progress: data.progress_ms,
+        isPlaying: data.is_playing,
+        explicit: Boolean(item.explicit),
+        // Playlist, album or artist the item is played from (null for e.g. the queue)
+        context: data.context?.uri || null,
+        externalUrl: item.external_urls?.spotify || null,
+      };
+
+      if (item.type === 'episode' || item.type === 'chapter') {
+        return { ...playback, ...toEpisodeFields(item) };
+      }
 
       return {
-        id: track.id,
-        name: track.name,
-        artists,
-        album: track.album.name,
-        duration: track.duration_ms,
-        progress: response.data.progress_ms,
-        isPlaying: response.data.is_playing,
-        externalUrl: track.external_urls.spotify,
+        ...playback,
+        type: 'track',
+        artists: (item.artists || []).map((a) => a.name).join(', '),
+        artistIds: (item.artists || []).map((a) => a.id),
+        album: item.album?.name || '',
+        albumId: item.album?.id || null,
       };
     } catch (error) {
       if (error.response?.status === 429) {
-        logger.warn('Spotify API rate limited');
-        throw new Error('Spotify API rate limited - backing off');
+        const seconds = parseInt(error.response.headers?.['retry-after'], 10);
+        const retryAfter = Number.isNaN(seconds) ? DEFAULT_RETRY_AFTER : seconds * 1000;
+        this.retryAfterUntil = Date.now() + retryAfter;
+        logger.warn('Spotify API rate limited', { retryAfter });
+
+        const rateLimitError = new Error('Spotify API rate limited - backing off');
+        rateLimitError.retryAfter = retryAfter;
+        throw rateLimitError;
       }
 
       if (error.response?.status === 401) {
@@ -126,6 +219,14 @@ class SpotifyService {
     }
   }
 
+  /**
+   * Get how long Spotify asked us to wait before the next request
+   * @returns {number} Milliseconds left from the last Retry-After (0 if none)
+   */
+  getRetryAfter() {
+    return Math.max(0, this.retryAfterUntil - Date.now());
+  }
+
   /**
    * Check if currently playing or paused
    * @throws {Error} If API call fails
@@ -137,4 +238,34 @@ class SpotifyService {
   }
 }
 
+/**
+ * Map a podcast episode or audiobook chapter onto the track fields templates use
+ * artists is the publisher or authors, album the show or audiobook
+ * @param {Object} item - Spotify episode or chapter object
+ * @returns {Object} {type: 'episode', artists, album, show, chapter}
+ */
+function toEpisodeFields(item) {
+  if (item.audiobook) {
+    const chapterNumber = Number.isInteger(item.chapter_number) ? item.chapter_number + 1 : null;
+    return {
+      type: 'episode',
+      artists: (item.audiobook.authors || []).map((author) => author.name).join(', '),
+      album: item.audiobook.name,
+      show: item.audiobook.name,
+      chapter: chapterNumber ? `Chapter ${chapterNumber}` : '',
+    };
+  }
+
+  return {
+    type: 'episode',
+    artists: item.show?.publisher || '',
+    album: item.show?.name || '',
+    show: item.show?.name || '',
+    chapter: '',
+  };
+}
+
+SpotifyService.API_BASE = SPOTIFY_API_BASE;
+SpotifyService.AUTH_URL = SPOTIFY_AUTH_URL;
+
 module.exports = SpotifyService;
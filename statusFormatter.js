@@ -0,0 +1,487 @@
+/**
+ * Status Formatter Module
+ * Renders Discord status text from per-state templates with {placeholders}
+ * Optional [segments] are dropped before the lyric itself is shortened
+ * Display modes add the next line, split long lines into timed chunks or show compact progress
+ * Karaoke mode reveals lines word by word from enhanced LRC word timings
+ */
+
+const { truncateText, formatDuration } = require('./utils');
+
+// Discord custom status character limit
+const DISCORD_STATUS_LIMIT = 128;
+
+// Default templates reproduce the original hard-coded statuses
+const DEFAULT_TEMPLATES = {
+  lyric: '♪ {lyric}',
+  estimated: '♪≈ {lyric}',
+  gap: '🎵 {track}',
+  noLyrics: '🎵 Listening to {track}',
+  paused: '',
+  podcast: '🎙️ {show}: {track}[ ({chapter})]',
+  private: '🎵 Listening to music',
+  quiet: '🎵 Listening to {track}',
+};
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+const DISPLAY_MODES = ['line', 'next', 'chunks', 'progress', 'karaoke'];
+
+// Templates whose {lyric} is a lyric line (display modes apply to these)
+const LYRIC_STATES = ['lyric', 'estimated'];
+
+// "next" mode joins the two lines with this
+const NEXT_LINE_SEPARATOR = ' / ';
+
+// "chunks" mode: time per chunk of the last line, which has no next timestamp
+const LAST_LINE_CHUNK_TIME = 2500;
+
+// "karaoke" mode: minimum time between reveal steps, so word changes stay within rate limits
+const DEFAULT_KARAOKE_STEP = 1500;
+
+// "progress" mode: cells of the compact progress bar
+const COMPACT_PROGRESS_WIDTH = 5;
+const COMPACT_PROGRESS_NODE = {
+  type: 'optional',
+  nodes: [
+    { type: 'text', value: ' ' },
+    { type: 'field', name: 'compactProgress' },
+  ],
+};
+
+class StatusFormatter {
+  /**
+   * @param {Object} templates - Templates per state (see DEFAULT_TEMPLATES)
+   *   An empty template means "leave the status unchanged" for that state
+   * @param {Object} options - Formatter options
+   * @param {Object} options.emojis - Status emoji per state (Unicode or "<:name:id>")
+   * @param {number} options.maxLength - Maximum status length
+   * @param {number} options.progressBarWidth - Number of cells in {progressBar}
+   * @param {string} options.displayMode - line, next (current + next line), chunks (long lines
+   *   split over time), progress (compact progress bar after the lyric) or karaoke (word by word)
+   * @param {number} options.karaokeStep - Minimum milliseconds between karaoke reveal steps
+   */
+  constructor(
+    templates = {},
+    {
+      emojis = {},
+      maxLength = DISCORD_STATUS_LIMIT,
+      progressBarWidth = 10,
+      displayMode = 'line',
+      karaokeStep = DEFAULT_KARAOKE_STEP,
+    } = {}
+  ) {
+    if (!DISPLAY_MODES.includes(displayMode)) {
+      throw new Error(`Unknown display mode: ${displayMode} (use ${DISPLAY_MODES.join(', ')})`);
+    }
+
+    this.templates = { ...DEFAULT_TEMPLATES };
+    Object.entries(templates).forEach(([state, template]) => {
+      if (template !== undefined) {
+        this.templates[state] = template;
+      }
+    });
+
+    this.emojis = emojis;
+    this.maxLength = maxLength;
+    this.progressBarWidth = progressBarWidth;
+    this.displayMode = displayMode;
+    this.karaokeStep = karaokeStep;
+    this.parsed = new Map();
+  }
+
+  /**
+   * Turn parsed lyrics into the timeline the status follows
+   * In chunks mode, lines too long for the status are split on word boundaries and the
+   * pieces spread over the time until the next line; in karaoke mode, lines with word
+   * timings become one step per revealed word; other modes keep the lyrics as they are
+   * @param {Array} lyrics - Parsed lyrics array
+   * @returns {Array} Display timeline [{time, lyric}]
+   */
+  buildTimeline(lyrics) {
+    if (!lyrics) {
+      return lyrics;
+    }
+    if (this.displayMode === 'karaoke') {
+      return this.buildKaraokeTimeline(lyrics);
+    }
+    if (this.displayMode !== 'chunks') {
+      return lyrics;
+    }
+
+    const budget = this.getLyricBudget();
+    const timeline = [];
+
+    lyrics.forEach((line, index) => {
+      const chunks = splitIntoChunks(line.lyric, budget);
+      if (chunks.length === 1) {
+        timeline.push(line);
+        return;
+      }
+
+      const next = lyrics[index + 1];
+      const window = next ? next.time - line.time : chunks.length * LAST_LINE_CHUNK_TIME;
+      const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+
+      // Longer chunks stay up longer
+      let offset = 0;
+      chunks.forEach((chunk) => {
+        timeline.push({ ...line, time: line.time + Math.round(offset), lyric: chunk });
+        offset += (chunk.length / totalLength) * window;
+      });
+    });
+
+    return timeline;
+  }
+
+  /**
+   * Karaoke timeline: each step shows the words sung so far
+   * Words due sooner than karaokeStep after the previous step are held back to the next step
+   * @param {Array} lyrics - Parsed lyrics array
+   * @returns {Array} Display timeline [{time, lyric}]
+   */
+  buildKaraokeTimeline(lyrics) {
+    const timeline = [];
+
+    lyrics.forEach((line, index) => {
+      if (!line.words) {
+        timeline.push(line);
+        return;
+      }
+
+      const { words } = line;
+      const next = lyrics[index + 1];
+      let revealed = 0;
+      let lastStep = -Infinity;
+
+      while (revealed < words.length) {
+        // The line always opens with its first word
+        const time =
+          revealed === 0 ? line.time : Math.max(words[revealed].time, lastStep + this.karaokeStep);
+        if (next && time >= next.time) {
+          break;
+        }
+
+        const due = words.filter((word) => word.time <= time).length;
+        revealed = Math.max(revealed + 1, due);
+        lastStep = time;
+        timeline.push({
+          ...line,
+          time,
+          lyric: words
+            .slice(0, revealed)
+            .map((word) => word.text)
+            .join('')
+            .trim(),
+        });
+      }
+    });
+
+    return timeline;
+  }
+
+  /**
+   * Room left for {lyric} in the lyric templates once their fixed text is placed
+   * @returns {number} Characters available for a lyric line
+   */
+  getLyricBudget() {
+    const budgets = LYRIC_STATES.filter((state) => this.templates[state]).map((state) => {
+      const fixedText = this.getParsed(this.templates[state])
+        .filter((node) => node.type === 'text')
+        .map((node) => node.value)
+        .join('');
+      return this.maxLength - fixedText.length;
+    });
+
+    return Math.max(1, Math.min(this.maxLength, ...budgets));
+  }
+
+  /**
+   * Check if a state has a non-empty template
+   * @param {string} state - Template state
+   * @returns {boolean} True if the state produces a status
+   */
+  hasTemplate(state) {
+    return Boolean(this.templates[state]);
+  }
+
+  /**
+   * Get the status emoji for a state
+   * @param {string} state - Template state
+   * @returns {string|null} Emoji setting or null for none
+   */
+  getEmoji(state) {
+    return this.emojis[state] || null;
+  }
+
+  /**
+   * Render the status for a state
+   * @param {string} state - Template state, e.g. lyric, estimated, gap, noLyrics
+   * @param {Object} fields - Text placeholders, e.g. {lyric, next, track, artist, album}
+   * @param {Object} timing - {progress, duration} in milliseconds for {elapsed}, {duration},
+   *   {progressBar} and the compact progress of the progress display mode
+   * @returns {string|null} Status text or null if the state has no template
+   */
+  format(state, fields, timing = {}) {
+    const template = this.templates[state];
+    if (!template) {
+      return null;
+    }
+
+    const values = {
+      ...fields,
+      elapsed: formatDuration(timing.progress),
+      duration: formatDuration(timing.duration),
+      progressBar: this.renderProgressBar(timing.progress, timing.duration),
+    };
+
+    let nodes = this.getParsed(template);
+
+    if (LYRIC_STATES.includes(state)) {
+      if (this.displayMode === 'next' && fields.lyric && fields.next) {
+        // Only join the lines when the pair fits without shortening either
+        const joined = `${fields.lyric}${NEXT_LINE_SEPARATOR}${fields.next}`;
+        if (joined.length <= this.getLyricBudget()) {
+          values.lyric = joined;
+        }
+      } else if (this.displayMode === 'progress') {
+        values.compactProgress = this.renderProgressBar(
+          timing.progress,
+          timing.duration,
+          COMPACT_PROGRESS_WIDTH
+        );
+        // Optional, so it is the first thing dropped when the line is long
+        nodes = [...nodes, COMPACT_PROGRESS_NODE];
+      }
+    }
+
+    return this.render(nodes, values);
+  }
+
+  /**
+   * Parse a template once and reuse the result
+   * @param {string} template - Template string
+   * @returns {Array} Parsed nodes
+   */
+  getParsed(template) {
+    if (!this.parsed.has(template)) {
+      this.parsed.set(template, parseTemplate(template));
+    }
+    return this.parsed.get(template);
+  }
+
+  /**
+   * Fit a parsed template into maxLength
+   * 1. Optional segments with an empty placeholder are skipped
+   * 2. Optional segments are dropped right to left until the text fits
+   * 3. The lyric (or the longest placeholder) is shortened on grapheme boundaries
+   * @param {Array} nodes - Parsed template
+   * @param {Object} values - Placeholder values
+   * @returns {string} Status text
+   */
+  render(nodes, values) {
+    let active = nodes.filter(
+      (node) =>
+        node.type !== 'optional' ||
+        node.nodes.every((child) => child.type !== 'field' || hasValue(values, child.name))
+    );
+
+    let text = renderNodes(active, values);
+
+    while (text.length > this.maxLength) {
+      const lastOptional = active.map((node) => node.type).lastIndexOf('optional');
+      if (lastOptional === -1) break;
+      active = active.filter((_, index) => index !== lastOptional);
+      text = renderNodes(active, values);
+    }
+
+    if (text.length <= this.maxLength) {
+      return text;
+    }
+
+    const primary = pickPrimaryField(active, values);
+    if (primary) {
+      const occurrences = countField(active, primary);
+      const fixedLength = renderNodes(active, { ...values, [primary]: '' }).length;
+      const budget = Math.floor((this.maxLength - fixedLength) / occurrences);
+      if (budget > 0) {
+        text = renderNodes(active, {
+          ...values,
+          [primary]: truncateText(String(values[primary]), budget),
+        });
+      }
+    }
+
+    // Last resort for templates whose fixed text alone is too long
+    return truncateText(text, this.maxLength);
+  }
+
+  /**
+   * Render a text progress bar
+   * @param {number} progress - Progress in milliseconds
+   * @param {number} duration - Duration in milliseconds
+   * @param {number} width - Number of cells
+   * @returns {string} e.g. "▰▰▰▱▱▱▱▱▱▱"
+   */
+  renderProgressBar(progress, duration, width = this.progressBarWidth) {
+    const ratio = duration ? Math.min(1, Math.max(0, progress / duration)) : 0;
+    const filled = Math.round(ratio * width);
+    return '▰'.repeat(filled) + '▱'.repeat(width - filled);
+  }
+}
+
+/**
+ * Parse a template into text, field and optional nodes
+ * "[...]" marks an optional segment (not nested); "{name}" a placeholder
+ * @param {string} template - Template string
+ * @returns {Array} Parsed nodes
+ */
+function parseTemplate(template) {
+  const nodes = [];
+  let position = 0;
+
+  while (position < template.length) {
+    const open = template.indexOf('[', position);
+    const close = open === -1 ? -1 : template.indexOf(']', open);
+
+    if (open === -1 || close === -1) {
+      nodes.push(...parseFields(template.slice(position)));
+      break;
+    }
+
+    nodes.push(...parseFields(template.slice(position, open)));
+    nodes.push({ type: 'optional', nodes: parseFields(template.slice(open + 1, close)) });
+    position = close + 1;
+  }
+
+  return nodes;
+}
+
+/**
+ * Split text into literal and placeholder nodes
+ * @param {string} text - Template fragment without optional segments
+ * @returns {Array} Text and field nodes
+ */
+function parseFields(text) {
+  const nodes = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+    if (match.index > lastIndex) {
+      nodes.push({ type: 'text', value: text.slice(lastIndex, match.index) });
+    }
+    nodes.push({ type: 'field', name: match[1] });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < text.length) {
+    nodes.push({ type: 'text', value: text.slice(lastIndex) });
+  }
+
+  return nodes;
+}
+
+/**
+ * Render nodes with placeholder values; unknown placeholders are kept verbatim
+ * @param {Array} nodes - Parsed nodes
+ * @param {Object} values - Placeholder values
+ * @returns {string} Rendered text
+ */
+function renderNodes(nodes, values) {
+  return nodes
+    .map((node) => {
+      if (node.type === 'optional') return renderNodes(node.nodes, values);
+      if (node.type === 'field') {
+        return node.name in values ? String(values[node.name] ?? '') : `{${node.name}}`;
+      }
+      return node.value;
+    })
+    .join('');
+}
+
+/**
+ * Split a line into pieces of at most maxLength characters on word boundaries
+ * Pieces are balanced in length instead of filling each one up
+ * @param {string} text - Lyric line
+ * @param {number} maxLength - Maximum piece length
+ * @returns {Array} Pieces (the line itself if it already fits)
+ */
+function splitIntoChunks(text, maxLength) {
+  if (text.length <= maxLength) {
+    return [text];
+  }
+
+  const words = text.split(/\s+/).filter(Boolean);
+  const count = Math.ceil(text.length / maxLength);
+  const longestWord = Math.max(...words.map((word) => word.length));
+  const limit = Math.min(maxLength, Math.max(Math.ceil(text.length / count), longestWord));
+
+  const chunks = [];
+  let current = '';
+  words.forEach((word) => {
+    const candidate = current ? `${current} ${word}` : word;
+    if (current && candidate.length > limit) {
+      chunks.push(current);
+      current = word;
+    } else {
+      current = candidate;
+    }
+  });
+  if (current) {
+    chunks.push(current);
+  }
+
+  // A single word longer than the status is cut like before
+  return chunks.map((chunk) => truncateText(chunk, maxLength));
+}
+
+/**
+ * Check if a placeholder has a non-empty value
+ * @param {Object} values - Placeholder values
+ * @param {string} name - Placeholder name
+ * @returns {boolean} True if the value is present
+ */
+function hasValue(values, name) {
+  return values[name] !== undefined && values[name] !== null && String(values[name]) !== '';
+}
+
+/**
+ * Pick the placeholder to shorten: the lyric if present, else the longest value
+ * @param {Array} nodes - Active nodes
+ * @param {Object} values - Placeholder values
+ * @returns {string|null} Placeholder name
+ */
+function pickPrimaryField(nodes, values) {
+  const names = [];
+  nodes.forEach((node) => {
+    const children = node.type === 'optional' ? node.nodes : [node];
+    children.forEach((child) => {
+      if (child.type === 'field' && hasValue(values, child.name)) names.push(child.name);
+    });
+  });
+
+  if (names.includes('lyric')) return 'lyric';
+  if (names.length === 0) return null;
+  return names.reduce((longest, name) =>
+    String(values[name]).length > String(values[longest]).length ? name : longest
+  );
+}
+
+/**
+ * Count how often a placeholder appears in the active nodes
+ * @param {Array} nodes - Active nodes
+ * @param {string} name - Placeholder name
+ * @returns {number} Number of occurrences
+ */
+function countField(nodes, name) {
+  return nodes.reduce((count, node) => {
+    if (node.type === 'optional') return count + countField(node.nodes, name);
+    return count + (node.type === 'field' && node.name === name ? 1 : 0);
+  }, 0);
+}
+
+StatusFormatter.DEFAULT_TEMPLATES = DEFAULT_TEMPLATES;
+StatusFormatter.DISPLAY_MODES = DISPLAY_MODES;
+StatusFormatter.LYRIC_STATES = LYRIC_STATES;
+
+module.exports = StatusFormatter;
@@ -0,0 +1,195 @@
+/**
+ * Status Output Module
+ * Connects one status sink to the bot with its own template, rate limit and diff check
+ *
+ * A sink is any object with:
+ *   name                  - Shown in logs and the control API
+ *   setStatus(status)     - Show {text, emoji, expiresAt, state, fields, progress, duration}
+ *                           fields.lyric and fields.next are empty outside the lyric states
+ *   clear()               - Take the bot's status down
+ *   start(), close()      - Optional setup and teardown (close defaults to clear)
+ *   getRateLimitState()   - Optional {blockedUntil, remaining, resetAt} reported by the target
+ */
+
+const logger = require('./logger');
+const StatusFormatter = require('./statusFormatter');
+const { RateLimiter, DiffChecker } = require('./utils');
+
+class StatusOutput {
+  /**
+   * @param {Object} sink - Status sink
+   * @param {Object} options - Output options
+   * @param {StatusFormatter} options.formatter - Renders the sink's templates
+   * @param {number} options.rateLimit - Minimum milliseconds between updates
+   * @throws {Error} If the sink is missing a required method
+   */
+  constructor(sink, { formatter, rateLimit = 0 }) {
+    validateSink(sink);
+
+    this.sink = sink;
+    this.name = sink.name;
+    this.formatter = formatter;
+    this.rateLimiter = new RateLimiter(rateLimit);
+    this.diffChecker = new DiffChecker();
+  }
+
+  /**
+   * Switch to new templates and a new rate limit (after a settings reload)
+   * @param {Object} options - Same as the constructor's options
+   */
+  configure({ formatter, rateLimit = 0 }) {
+    this.formatter = formatter;
+    this.rateLimiter.threshold = rateLimit;
+  }
+
+  /**
+   * Run the sink's setup
+   */
+  async start() {
+    if (typeof this.sink.start === 'function') {
+      await this.sink.start();
+    }
+  }
+
+  /**
+   * Render a status with this output's templates
+   * @param {Object} status - {state, fields, progress, duration, expiresAt} from the bot,
+   *   or {state: 'manual', text, emoji, expiresAt} for a manual status
+   * @returns {Object|null} Sink status or null to leave the current one in place
+   */
+  render(status) {
+    if (status.state === 'manual') {
+      return { ...status, fields: null, progress: null, duration: null };
+    }
+
+    const text = this.formatter.format(status.state, status.fields, {
+      progress: status.progress,
+      duration: status.duration,
+    });
+    if (!text) {
+      return null;
+    }
+
+    // Sinks showing the raw fields (e.g. OBS files) only get the lines with a lyric status
+    const fields =
+      status.fields && !StatusFormatter.LYRIC_STATES.includes(status.state)
+        ? { ...status.fields, lyric: '', next: '' }
+        : status.fields;
+    return { ...status, fields, text, emoji: this.formatter.getEmoji(status.state) };
+  }
+
+  /**
+   * Send a status if it changed and the rate limit allows it
+   * @param {Object} status - Status from the bot (see render)
+   * @returns {Promise<number>} Milliseconds until a held-back status can be sent (0 if none)
+   */
+  async push(status) {
+    const rendered = this.render(status);
+    if (!rendered) {
+      return 0;
+    }
+
+    // Check rate limiting before the diff check so a held-back status is retried
+    const wait = this.rateLimiter.timeUntilNextUpdate();
+    if (wait > 0) {
+      logger.debug('Rate limit threshold not met', { sink: this.name });
+      return wait;
+    }
+
+    const { text, emoji, expiresAt } = rendered;
+    if (!this.diffChecker.hasChanged(JSON.stringify({ text, emoji, expiresAt }))) {
+      return 0;
+    }
+
+    this.rateLimiter.canUpdate();
+    try {
+      await this.sink.setStatus(rendered);
+    } catch (error) {
+      // Forget the failed status so the next push sends it again instead of skipping it
+      this.diffChecker.reset();
+      logger.error('Status update error', {
+        sink: this.name,
+        message: error.message,
+      });
+    } finally {
+      // Follow the limits the target actually reports
+      if (typeof this.sink.getRateLimitState === 'function') {
+        this.rateLimiter.updateFromServer(this.sink.getRateLimitState());
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Take the bot's status down
+   * @returns {Promise<boolean>} False if the sink failed or reported failure
+   */
+  async clear() {
+    this.diffChecker.reset();
+    try {
+      return (await this.sink.clear()) !== false;
+    } catch (error) {
+      logger.warn('Failed to clear status', {
+        sink: this.name,
+        message: error.message,
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Forget the last sent status so the next push always goes out
+   */
+  reset() {
+    this.diffChecker.reset();
+  }
+
+  /**
+   * Take the status down for good
+   */
+  async close() {
+    try {
+      if (typeof this.sink.close === 'function') {
+        await this.sink.close();
+      } else {
+        await this.sink.clear();
+      }
+    } catch (error) {
+      logger.warn('Failed to close status sink', {
+        sink: this.name,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Rate limit state, for the control API
+   * @returns {Object} {name, rateLimiter, server}
+   */
+  getState() {
+    return {
+      name: this.name,
+      rateLimiter: this.rateLimiter.getState(),
+      server:
+        typeof this.sink.getRateLimitState === 'function' ? this.sink.getRateLimitState() : null,
+    };
+  }
+}
+
+/**
+ * Check that a sink has a name and the required methods
+ * @param {Object} sink - Sink to check
+ * @throws {Error} If it does not
+ */
+function validateSink(sink) {
+  const valid =
+    sink &&
+    typeof sink.name === 'string' &&
+    typeof sink.setStatus === 'function' &&
+    typeof sink.clear === 'function';
+  if (!valid) {
+    throw new Error('Status sinks need a name, setStatus(status) and clear()');
+  }
+}
+
+module.exports = StatusOutput;
@@ -0,0 +1,171 @@
+/**
+ * Status Schedule Module
+ * Weekly windows in which lyric statuses are allowed, evaluated in a configured timezone
+ * Format: "mon-fri 18:00-23:30; sat,sun 10:00-02:00" (ranges may run past midnight)
+ */
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Day tokens that cover the whole week
+const EVERY_DAY = ['daily', '*'];
+
+const TIME_RANGE = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/;
+
+class StatusSchedule {
+  /**
+   * @param {string} spec - Windows separated by ";", each "<days> <HH:MM-HH:MM>[,<HH:MM-HH:MM>]"
+   *   (empty means always allowed)
+   * @param {Object} options - Schedule options
+   * @param {string} options.timezone - IANA timezone, e.g. "Europe/Berlin" (default: system)
+   * @throws {Error} If the spec or timezone is invalid
+   */
+  constructor(spec = '', { timezone } = {}) {
+    this.windows = parseSchedule(spec);
+
+    try {
+      this.clock = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone || undefined,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+      });
+    } catch (error) {
+      throw new Error(`Invalid schedule timezone: ${timezone}`);
+    }
+    this.timezone = this.clock.resolvedOptions().timeZone;
+  }
+
+  /**
+   * Check if a schedule is configured at all
+   * @returns {boolean} True if at least one window is set
+   */
+  isEnabled() {
+    return this.windows.length > 0;
+  }
+
+  /**
+   * Check if lyric statuses are allowed at a moment
+   * @param {Date} date - Moment to check
+   * @returns {boolean} True inside a window (always true without a schedule)
+   */
+  isActive(date = new Date()) {
+    if (!this.isEnabled()) {
+      return true;
+    }
+
+    const { day, minutes } = this.getLocalTime(date);
+    const previousDay = (day + 6) % 7;
+
+    return this.windows.some(({ days, start, end }) => {
+      if (start < end) {
+        return days.has(day) && minutes >= start && minutes < end;
+      }
+      // Past midnight: the late part belongs to the day the window started
+      return (days.has(day) && minutes >= start) || (days.has(previousDay) && minutes < end);
+    });
+  }
+
+  /**
+   * Weekday and minute of the day in the schedule's timezone
+   * @param {Date} date - Moment to convert
+   * @returns {Object} {day: 0 (Sunday) to 6, minutes: 0 to 1439}
+   */
+  getLocalTime(date) {
+    const parts = {};
+    this.clock.formatToParts(date).forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+    return {
+      day: WEEKDAYS.indexOf(parts.weekday.toLowerCase().slice(0, 3)),
+      minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+    };
+  }
+}
+
+/**
+ * Parse the schedule string into windows
+ * @param {string} spec - Schedule string
+ * @returns {Array} [{days: Set of weekday numbers, start, end}] with times in minutes
+ * @throws {Error} If an entry cannot be parsed
+ */
+function parseSchedule(spec) {
+  const windows = [];
+
+  (spec || '')
+    .split(';')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const [dayPart, timePart, ...rest] = entry.split(/\s+/);
+      if (!timePart || rest.length > 0) {
+        throw new Error(`Invalid schedule entry "${entry}" (expected e.g. "mon-fri 09:00-17:00")`);
+      }
+
+      const days = parseDays(dayPart, entry);
+      timePart.split(',').forEach((range) => {
+        windows.push({ days, ...parseTimeRange(range, entry) });
+      });
+    });
+
+  return windows;
+}
+
+/**
+ * Parse "mon-fri", "sat,sun" or "daily" into weekday numbers
+ * @param {string} text - Day part of an entry
+ * @param {string} entry - Whole entry, for the error message
+ * @returns {Set} Weekday numbers (0 = Sunday)
+ */
+function parseDays(text, entry) {
+  const lower = text.toLowerCase();
+  if (EVERY_DAY.includes(lower)) {
+    return new Set(WEEKDAYS.map((_, index) => index));
+  }
+
+  const days = new Set();
+  lower.split(',').forEach((token) => {
+    const [from, to = from] = token.split('-').map((name) => WEEKDAYS.indexOf(name.slice(0, 3)));
+    if (from === -1 || to === -1) {
+      throw new Error(`Invalid schedule days "${token}" in "${entry}"`);
+    }
+
+    // Ranges may wrap around the week, e.g. "fri-mon"
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === to) break;
+    }
+  });
+  return days;
+}
+
+/**
+ * Parse "HH:MM-HH:MM" into minutes of the day
+ * @param {string} text - Time range
+ * @param {string} entry - Whole entry, for the error message
+ * @returns {Object} {start, end}; equal times mean the whole day
+ */
+function parseTimeRange(text, entry) {
+  const match = text.match(TIME_RANGE);
+  const numbers = match ? match.slice(1).map((value) => parseInt(value, 10)) : [];
+  const [startHour, startMinute, endHour, endMinute] = numbers;
+
+  // 24:00 is accepted as the end of the day
+  const valid =
+    match &&
+    startHour < 24 &&
+    startMinute < 60 &&
+    endMinute < 60 &&
+    (endHour < 24 || (endHour === 24 && endMinute === 0));
+  if (!valid) {
+    throw new Error(`Invalid schedule time "${text}" in "${entry}"`);
+  }
+
+  return {
+    start: startHour * 60 + startMinute,
+    end: (endHour * 60 + endMinute) % (24 * 60),
+  };
+}
+
+module.exports = StatusSchedule;
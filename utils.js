@@ -1,158 +1,302 @@
 /**
  * Utility functions for the Spotify Discord Lyrics Bot
- * Includes LRC parsing, caching, and rate limiting logic
+ * Includes LRC parsing, rate limiting, playback clock and .env file logic
  */
 
+const fs = require('fs');
+const path = require('path');
 const logger = require('./logger');
 
+// Leading timestamp tag: [m:ss], [mm:ss.x], [mm:ss.xx], [mmm:ss.xxx] (':' also accepted before the fraction)
+const LRC_TIMESTAMP = /^\[(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?\]/;
+
+// Enhanced LRC (A2) word timing inside a line: <mm:ss.xx>word
+const LRC_WORD_TIMESTAMP = /<(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?>/g;
+
+// Header tag: [ar:Artist], [offset:+250], ...
+const LRC_METADATA = /^\[([a-z#]+):(.*)\]\s*$/i;
+
+// Known header tags mapped to readable metadata keys
+const LRC_METADATA_KEYS = {
+  ar: 'artist',
+  ti: 'title',
+  al: 'album',
+  au: 'author',
+  by: 'creator',
+  length: 'length',
+  offset: 'offset',
+  re: 'tool',
+  ve: 'version',
+};
+
+/**
+ * Convert LRC timestamp parts to milliseconds
+ * The fraction is read as tenths, hundredths or thousandths depending on its length
+ * @param {string} minutes - Minutes part
+ * @param {string} seconds - Seconds part
+ * @param {string} fraction - Optional fractional part
+ * @returns {number} Time in milliseconds
+ */
+function lrcTimeToMs(minutes, seconds, fraction = '') {
+  const fractionMs = fraction ? parseInt(fraction.padEnd(3, '0'), 10) : 0;
+  return parseInt(minutes, 10) * 60000 + parseInt(seconds, 10) * 1000 + fractionMs;
+}
+
 /**
- * Parse LRC format string and return an array of lyric objects
- * LRC format: [mm:ss.xx]lyric text
+ * Parse LRC format string into timed lyric lines and header metadata
+ * Supports [mm:ss], [mm:ss.x], [mm:ss.xx], [mm:ss.xxx] and three-digit minutes,
+ * several timestamps on one line (repeated choruses), the [offset:] header and
+ * enhanced LRC word timings (<mm:ss.xx>), which are moved out of the text into `words`
  * @param {string} lrcString - Raw LRC format string
- * @returns {Array} Array of {time: ms, lyric: string}
+ * @returns {Object} {metadata, lyrics: Array of {time: ms, lyric: string, words?}} sorted by time
  */
 function parseLRC(lrcString) {
-  if (!lrcString) return [];
-
-  const lines = lrcString.split('\n');
+  const metadata = {};
   const lyrics = [];
 
-  lines.forEach((line) => {
-    // Match [mm:ss.xx] format
-    const match = line.match(/\[(\d{2}):(\d{2})\.(\d{2})\](.*)/);
-    if (match) {
-      const minutes = parseInt(match[1], 10);
-      const seconds = parseInt(match[2], 10);
-      const centiseconds = parseInt(match[3], 10);
-      const timeMs = minutes * 60000 + seconds * 1000 + centiseconds * 10;
-      const lyricText = match[4].trim();
-
-      if (lyricText) {
-        lyrics.push({
-          time: timeMs,
+  if (!lrcString) return { metadata, lyrics };
+
+  const lines = lrcString.split(/\r?\n/);
+
+  lines.forEach((rawLine) => {
+    let line = rawLine.trim();
+    const times = [];
+
+    // Collect every leading timestamp tag
+    let match = line.match(LRC_TIMESTAMP);
+    while (match) {
+      times.push(lrcTimeToMs(match[1], match[2], match[3]));
+      line = line.slice(match[0].length);
+      match = line.match(LRC_TIMESTAMP);
+    }
+
+    if (times.length === 0) {
+      const tag = line.match(LRC_METADATA);
+      if (tag) {
+        const name = tag[1].toLowerCase();
+        const key = LRC_METADATA_KEYS[name] || name;
+        metadata[key] = tag[2].trim();
+      }
+      return;
+    }
+
+    const { text: lyricText, words } = parseWordTimings(line);
+    if (lyricText) {
+      times.forEach((time) => {
+        const entry = {
+          time,
           lyric: lyricText,
+        };
+        if (words) {
+          // Word times belong to the first timestamp; repeats shift them along
+          entry.words = words.map((word) => ({ ...word, time: word.time + time - times[0] }));
+        }
+        lyrics.push(entry);
+      });
+    }
+  });
+
+  // A positive offset makes lyrics appear earlier
+  if (metadata.offset !== undefined) {
+    const offset = parseInt(metadata.offset, 10);
+    metadata.offset = Number.isNaN(offset) ? 0 : offset;
+    if (metadata.offset !== 0) {
+      lyrics.forEach((entry) => {
+        entry.time = Math.max(0, entry.time - metadata.offset);
+        (entry.words || []).forEach((word) => {
+          word.time = Math.max(0, word.time - metadata.offset);
         });
-      }
+      });
+    }
+  }
+
+  // Stable sort keeps lines sharing a timestamp in file order
+  lyrics.sort((a, b) => a.time - b.time);
+
+  return { metadata, lyrics };
+}
+
+/**
+ * Split enhanced LRC word timings out of a line's text
+ * A tag with nothing after it only marks where the previous word ends and is dropped;
+ * untimed text before the first tag is sung with the first word
+ * @param {string} line - Line text after its leading timestamps
+ * @returns {Object} {text, words: Array of {time: ms, text} or null without word timings}
+ */
+function parseWordTimings(line) {
+  const tags = [...line.matchAll(LRC_WORD_TIMESTAMP)];
+  if (tags.length === 0) {
+    return { text: line.trim(), words: null };
+  }
+
+  const words = [];
+  let leading = line.slice(0, tags[0].index);
+  tags.forEach((tag, index) => {
+    const end = index + 1 < tags.length ? tags[index + 1].index : line.length;
+    const text = line.slice(tag.index + tag[0].length, end);
+    if (text.trim()) {
+      words.push({ time: lrcTimeToMs(tag[1], tag[2], tag[3]), text: leading + text });
+      leading = '';
     }
   });
 
-  return lyrics;
+  const text = line.replace(LRC_WORD_TIMESTAMP, '').replace(/\s+/g, ' ').trim();
+  return { text, words: words.length > 0 ? words : null };
 }
 
 /**
- * Find the lyric line that matches the current playback progress
+ * Find the index of the lyric line that matches the current playback progress
  * @param {Array} lyrics - Array of parsed lyric objects
  * @param {number} progressMs - Current playback progress in milliseconds
- * @returns {string|null} The matching lyric line or null
+ * @returns {number} Index of the matching line or -1 before the first line
  */
-function getLyricAtProgress(lyrics, progressMs) {
-  if (!lyrics || lyrics.length === 0) return null;
+function getLyricIndexAtProgress(lyrics, progressMs) {
+  if (!lyrics || lyrics.length === 0) return -1;
 
-  let currentLyric = null;
+  let currentIndex = -1;
   for (let i = 0; i < lyrics.length; i++) {
     if (lyrics[i].time <= progressMs) {
-      currentLyric = lyrics[i].lyric;
+      currentIndex = i;
     } else {
       break;
     }
   }
 
-  return currentLyric;
+  return currentIndex;
 }
 
 /**
- * Truncate lyric text to fit Discord status character limit (128 chars)
- * @param {string} lyric - The lyric text to truncate
- * @param {string} prefix - Optional prefix (e.g., "♪ ")
- * @returns {string} Truncated lyric
+ * Find the lyric line that matches the current playback progress
+ * @param {Array} lyrics - Array of parsed lyric objects
+ * @param {number} progressMs - Current playback progress in milliseconds
+ * @returns {string|null} The matching lyric line or null
  */
-function truncateLyric(lyric, prefix = '') {
-  const maxLength = 128 - prefix.length;
-  if (lyric.length > maxLength) {
-    return prefix + lyric.substring(0, maxLength - 3) + '...';
-  }
-  return prefix + lyric;
+function getLyricAtProgress(lyrics, progressMs) {
+  const index = getLyricIndexAtProgress(lyrics, progressMs);
+  return index >= 0 ? lyrics[index].lyric : null;
 }
 
 /**
- * Simple in-memory cache for lyrics
+ * Find the timestamp of the first lyric line after the current playback progress
+ * @param {Array} lyrics - Array of parsed lyric objects
+ * @param {number} progressMs - Current playback progress in milliseconds
+ * @returns {number|null} Timestamp of the next line in milliseconds or null
  */
-class LyricsCache {
-  constructor(ttl = 600000) {
-    // 10 minutes default TTL
-    this.cache = new Map();
-    this.ttl = ttl;
-  }
+function getNextLyricTime(lyrics, progressMs) {
+  if (!lyrics || lyrics.length === 0) return null;
 
-  /**
-   * Generate cache key from track info
-   * @param {string} trackName - Track name
-   * @param {string} artistName - Artist name
-   * @returns {string} Cache key
-   */
-  generateKey(trackName, artistName) {
-    return `${trackName}::${artistName}`.toLowerCase();
+  for (let i = 0; i < lyrics.length; i++) {
+    if (lyrics[i].time > progressMs) {
+      return lyrics[i].time;
+    }
   }
 
-  /**
-   * Set cache entry
-   * @param {string} trackName - Track name
-   * @param {string} artistName - Artist name
-   * @param {Array} lyrics - Parsed lyrics array
-   */
-  set(trackName, artistName, lyrics) {
-    const key = this.generateKey(trackName, artistName);
-    this.cache.set(key, {
-      lyrics,
-      timestamp: Date.now(),
-    });
+  return null;
+}
+
+const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+/**
+ * Truncate text to a maximum length without splitting a grapheme or surrogate pair
+ * @param {string} text - Text to truncate
+ * @param {number} maxLength - Maximum length in UTF-16 code units (what Discord counts)
+ * @param {string} ellipsis - Appended when text is cut
+ * @returns {string} Text that fits in maxLength
+ */
+function truncateText(text, maxLength, ellipsis = '...') {
+  if (text.length <= maxLength) return text;
+  if (maxLength <= ellipsis.length) return ellipsis.slice(0, Math.max(0, maxLength));
+
+  const budget = maxLength - ellipsis.length;
+  let result = '';
+  for (const { segment } of graphemeSegmenter.segment(text)) {
+    if (result.length + segment.length > budget) break;
+    result += segment;
   }
 
-  /**
-   * Get cache entry if valid
-   * @param {string} trackName - Track name
-   * @param {string} artistName - Artist name
-   * @returns {Array|null} Cached lyrics or null if expired
-   */
-  get(trackName, artistName) {
-    const key = this.generateKey(trackName, artistName);
-    const entry = this.cache.get(key);
+  return result.trimEnd() + ellipsis;
+}
 
-    if (!entry) return null;
+/**
+ * Format milliseconds as m:ss
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration, e.g. "3:07"
+ */
+function formatDuration(ms) {
+  const totalSeconds = Math.max(0, Math.floor((ms || 0) / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
 
-    // Check if cache expired
-    if (Date.now() - entry.timestamp > this.ttl) {
-      this.cache.delete(key);
-      return null;
-    }
+// Descriptive title suffixes that LRCLIB entries usually omit
+const TITLE_SUFFIX_WORDS =
+  /remaster(?:ed)?|live|version|edit|mono|stereo|demo|feat\.?|ft\.?|featuring|with|acoustic|bonus|deluxe|anniversary/
+    .source;
+const TITLE_DASH_SUFFIX = new RegExp(String.raw`\s+-\s+.*\b(?:${TITLE_SUFFIX_WORDS})(?:\b|\s|$).*$`, 'i');
+const TITLE_BRACKET_SUFFIX = new RegExp(
+  String.raw`\s*[([][^)\]]*\b(?:${TITLE_SUFFIX_WORDS})(?:\b|\s)[^)\]]*[)\]]`,
+  'gi'
+);
 
-    return entry.lyrics;
-  }
+/**
+ * Strip remaster, live, feat. and version suffixes from a track title
+ * e.g. "Song - 2011 Remaster" or "Song (feat. X)" become "Song"
+ * @param {string} title - Track title as reported by Spotify
+ * @returns {string} Title without descriptive suffixes
+ */
+function stripTitleSuffixes(title) {
+  if (!title) return '';
 
-  /**
-   * Clear cache
-   */
-  clear() {
-    this.cache.clear();
-  }
+  const stripped = title.replace(TITLE_BRACKET_SUFFIX, '').replace(TITLE_DASH_SUFFIX, '').trim();
+  return stripped || title.trim();
+}
 
-  /**
-   * Get cache size
-   * @returns {number} Number of cached items
-   */
-  size() {
-    return this.cache.size;
-  }
+/**
+ * Normalize text for fuzzy comparison: lowercase, no accents, punctuation or extra spaces
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  if (!text) return '';
+
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Split an artist string into normalized individual artist names
+ * @param {string} artistName - Artist string, e.g. "A, B & C feat. D"
+ * @returns {Array} Normalized artist names
+ */
+function splitArtists(artistName) {
+  if (!artistName) return [];
+
+  return artistName
+    .split(/\s*(?:,|&|;|\/|\bfeat\.?|\bft\.?|\band\b)\s*/i)
+    .map(normalizeText)
+    .filter((name) => name.length > 0);
 }
 
 /**
  * Rate limiter to prevent excessive Discord status updates
+ * Combines the configured threshold with the limits Discord reports
  */
 class RateLimiter {
   constructor(threshold = 1000) {
     // Minimum ms between updates
     this.threshold = threshold;
     this.lastUpdate = 0;
+
+    // Server-reported limits (see DiscordService.getRateLimitState)
+    this.blockedUntil = 0;
+    this.serverThreshold = 0;
+    this.serverThresholdUntil = 0;
   }
 
   /**
@@ -160,14 +304,53 @@ class RateLimiter {
    * @returns {boolean} True if enough time has passed since last update
    */
   canUpdate() {
-    const now = Date.now();
-    if (now - this.lastUpdate >= this.threshold) {
-      this.lastUpdate = now;
+    if (this.timeUntilNextUpdate() === 0) {
+      this.lastUpdate = Date.now();
       return true;
     }
     return false;
   }
 
+  /**
+   * Get time remaining until the next update is allowed
+   * @returns {number} Milliseconds to wait (0 if an update is allowed now)
+   */
+  timeUntilNextUpdate() {
+    const now = Date.now();
+    const threshold =
+      now < this.serverThresholdUntil ? Math.max(this.threshold, this.serverThreshold) : this.threshold;
+
+    return Math.max(0, this.lastUpdate + threshold - now, this.blockedUntil - now);
+  }
+
+  /**
+   * Adopt the limits Discord reported
+   * Remaining requests are spread evenly over the rest of the rate limit window
+   * @param {Object} state - {blockedUntil, remaining, resetAt}
+   */
+  updateFromServer({ blockedUntil = 0, remaining = null, resetAt = null } = {}) {
+    this.blockedUntil = blockedUntil;
+
+    if (remaining !== null && resetAt) {
+      const window = Math.max(0, resetAt - Date.now());
+      this.serverThreshold = remaining > 0 ? window / remaining : window;
+      this.serverThresholdUntil = resetAt;
+    }
+  }
+
+  /**
+   * Get rate limiter state
+   * @returns {Object} Effective threshold and wait time
+   */
+  getState() {
+    return {
+      threshold: this.threshold,
+      serverThreshold: Date.now() < this.serverThresholdUntil ? Math.round(this.serverThreshold) : null,
+      blockedUntil: this.blockedUntil > Date.now() ? this.blockedUntil : null,
+      waitMs: this.timeUntilNextUpdate(),
+    };
+  }
+
   /**
    * Reset rate limiter
    */
@@ -205,11 +388,116 @@ class DiffChecker {
   }
 }
 
+/**
+ * Local playback clock extrapolated from the last Spotify progress report
+ * Lets the bot know the current position between polls
+ */
+class PlaybackClock {
+  constructor(seekThreshold = 1500) {
+    // Max ms between expected and reported position before treating it as a seek
+    this.seekThreshold = seekThreshold;
+    this.reset();
+  }
+
+  /**
+   * Re-anchor the clock on a fresh progress report from Spotify
+   * @param {Object} track - Track object from SpotifyService
+   * @returns {string|null} Why the schedule must be re-planned
+   *   ('track-change', 'paused', 'resumed', 'seek') or null for plain drift
+   */
+  update(track) {
+    const now = Date.now();
+    let reason = null;
+
+    if (track.id !== this.trackId) {
+      reason = 'track-change';
+    } else if (track.isPlaying !== this.isPlaying) {
+      reason = track.isPlaying ? 'resumed' : 'paused';
+    } else if (Math.abs(track.progress - this.getPosition(now)) > this.seekThreshold) {
+      reason = 'seek';
+    }
+
+    this.trackId = track.id;
+    this.duration = track.duration;
+    this.progress = track.progress;
+    this.isPlaying = track.isPlaying;
+    this.timestamp = now;
+
+    return reason;
+  }
+
+  /**
+   * Estimate the current playback position from local time
+   * @param {number} now - Current time in milliseconds
+   * @returns {number} Estimated progress in milliseconds
+   */
+  getPosition(now = Date.now()) {
+    if (!this.isPlaying) {
+      return this.progress;
+    }
+
+    const position = this.progress + (now - this.timestamp);
+    return this.duration ? Math.min(position, this.duration) : position;
+  }
+
+  /**
+   * Reset playback clock
+   */
+  reset() {
+    this.trackId = null;
+    this.duration = 0;
+    this.progress = 0;
+    this.isPlaying = false;
+    this.timestamp = 0;
+  }
+}
+
+/**
+ * Set a variable in a .env file, keeping every other line as it is
+ * The file is created if missing and replaced atomically with its permissions kept
+ * @param {string} filePath - Path of the .env file
+ * @param {string} key - Variable name
+ * @param {string} value - New value
+ */
+function updateEnvFile(filePath, key, value) {
+  const file = path.resolve(filePath);
+  let content = '';
+  let mode = 0o600;
+
+  try {
+    content = fs.readFileSync(file, 'utf8');
+    mode = fs.statSync(file).mode & 0o777;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  const line = `${key}=${value}`;
+  const pattern = new RegExp(`^([ \\t]*(?:export[ \\t]+)?)${key}[ \\t]*=.*$`, 'm');
+
+  if (pattern.test(content)) {
+    content = content.replace(pattern, (match, prefix) => prefix + line);
+  } else {
+    content = `${content}${content && !content.endsWith('\n') ? '\n' : ''}${line}\n`;
+  }
+
+  fs.writeFileSync(`${file}.tmp`, content, { mode });
+  fs.renameSync(`${file}.tmp`, file);
+}
+
 module.exports = {
   parseLRC,
+  getLyricIndexAtProgress,
   getLyricAtProgress,
-  truncateLyric,
-  LyricsCache,
+  getNextLyricTime,
+  truncateText,
+  formatDuration,
+  stripTitleSuffixes,
+  normalizeText,
+  splitArtists,
   RateLimiter,
   DiffChecker,
+  PlaybackClock,
+  updateEnvFile,
 };
@@ -0,0 +1,97 @@
+/**
+ * Webhook Sink Module
+ * Status sink POSTing every status change as JSON to an HTTP endpoint
+ */
+
+const axios = require('axios');
+const logger = require('./logger');
+
+const WEBHOOK_TIMEOUT = 5000;
+// Wait this long after a 429 without a Retry-After header
+const DEFAULT_RETRY_AFTER = 5000;
+
+class WebhookSink {
+  /**
+   * @param {Object} options - Sink options
+   * @param {string} options.url - Endpoint receiving the POSTs
+   * @param {string} options.token - Optional bearer token sent as Authorization header
+   * @param {number} options.timeout - Request timeout in milliseconds
+   */
+  constructor({ url, token = null, timeout = WEBHOOK_TIMEOUT } = {}) {
+    if (!url) {
+      throw new Error('Webhook URL is required');
+    }
+
+    this.name = 'webhook';
+    this.url = url;
+    this.token = token;
+    this.timeout = timeout;
+    this.blockedUntil = 0;
+  }
+
+  /**
+   * Send a status
+   * @param {Object} status - {text, emoji, expiresAt, state, fields, progress, duration}
+   */
+  async setStatus({ text, emoji, expiresAt, state, fields, progress, duration }) {
+    await this.post({
+      event: 'status',
+      state,
+      text,
+      emoji: emoji || null,
+      track: fields ? fields.track : null,
+      artist: fields ? fields.artist : null,
+      album: fields ? fields.album : null,
+      lyric: fields ? fields.lyric : null,
+      next: fields ? fields.next : null,
+      progress: Number.isFinite(progress) ? Math.round(progress) : null,
+      duration: duration || null,
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    });
+  }
+
+  /**
+   * Tell the endpoint the status was taken down
+   */
+  async clear() {
+    await this.post({ event: 'clear' });
+  }
+
+  /**
+   * POST a payload, remembering how long to wait after a 429
+   * @param {Object} payload - JSON body (sentAt is added)
+   * @throws {Error} If the request fails
+   */
+  async post(payload) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+
+    try {
+      await axios.post(
+        this.url,
+        { ...payload, sentAt: new Date().toISOString() },
+        { headers, timeout: this.timeout }
+      );
+    } catch (error) {
+      if (error.response?.status === 429) {
+        const seconds = parseFloat(error.response.headers?.['retry-after']);
+        const retryAfter = Number.isNaN(seconds) ? DEFAULT_RETRY_AFTER : seconds * 1000;
+        this.blockedUntil = Date.now() + retryAfter;
+        logger.warn('Webhook rate limited', { retryAfter });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * How long the endpoint asked us to wait
+   * @returns {Object} {blockedUntil}
+   */
+  getRateLimitState() {
+    return { blockedUntil: this.blockedUntil };
+  }
+}
+
+module.exports = WebhookSink;